@@ -2,33 +2,84 @@
  * desktop/main.js
  * Electron main process.
  * - Creates the BrowserWindow
- * - Handles IPC for language list, execution, and runtime checks
+ * - Handles IPC for language list, execution, cancellation, job queries,
+ *   artifact saving, dependency cache management, pool stats, and runtime checks
+ * - Relays interactive sessions (see runtime/sessions.js) between the renderer's
+ *   terminal pane and their containers; sessions close with the window
+ * - Keeps the optional warm container pool filled and empties it on quit
  */
 
 'use strict';
 
-const { app, BrowserWindow, ipcMain } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog } = require('electron');
+const fs = require('fs');
 const path = require('path');
 const { createDockerClient } = require('../runtime/docker');
-const { runExecution } = require('../runtime/executor');
-const { LANGUAGES } = require('../runtime/languages');
+const { createJobManager } = require('../runtime/jobs');
+const { loadLanguages, getLanguage, resolveVersion, listLanguages } = require('../runtime/language-registry');
+const { loadConfig, DEFAULT_SESSION_SETTINGS } = require('../runtime/config');
+const depCache = require('../runtime/dep-cache');
+const pool = require('../runtime/pool');
+const { BASE_IMAGE } = require('../runtime/executor');
+const { resolveLimits, DEFAULT_LIMITS, DEFAULT_MAX_LIMITS } = require('../runtime/limits');
+const { DEFAULT_OUTPUT_LIMITS } = require('../runtime/output-limits');
+const { parseDependencies } = require('../runtime/dependencies');
+const { parseCases } = require('../runtime/judge');
+const { createSessionManager, removeStaleSessions } = require('../runtime/sessions');
 
 let mainWindow = null;
-let isRunning = false;
+let activeJobId = null;
+const jobs = createJobManager();
+const config = loadDesktopConfig();
+const sessions = createSessionManager(config.sessions);
+let poolStopped = false;
 
-function parseDependencies(value) {
+function normalizeFiles(value) {
+  if (!Array.isArray(value)) return [];
   return value
-    .split(/[\s,]+/)
-    .map((dep) => dep.trim())
-    .filter(Boolean);
+    .filter((file) => file && typeof file.name === 'string' && typeof file.content === 'string')
+    .map(({ name, content }) => ({ name, content }));
 }
 
 function normalizeRunPayload(payload) {
   const data = payload && typeof payload === 'object' ? payload : {};
   const code = typeof data.code === 'string' ? data.code : '';
   const languageId = typeof data.languageId === 'string' ? data.languageId : '';
+  const version = typeof data.version === 'string' ? data.version : '';
   const dependencies = typeof data.dependencies === 'string' ? data.dependencies : '';
-  return { code, languageId, dependencies };
+  const stdin = typeof data.stdin === 'string' ? data.stdin : '';
+  const files = normalizeFiles(data.files);
+  const entry = typeof data.entry === 'string' ? data.entry : '';
+  const source = files.length > 0 ? { files, entry } : code;
+  const limits = data.limits && typeof data.limits === 'object' ? data.limits : {};
+  const allowNetwork = data.allowNetwork === true;
+  return { source, languageId, version, dependencies, stdin, limits, allowNetwork, cases: data.cases };
+}
+
+function hasSourceCode(source) {
+  if (typeof source === 'string') return source.trim().length > 0;
+  return source.files.some((file) => file.content.trim().length > 0);
+}
+
+function loadDesktopConfig() {
+  try {
+    loadLanguages();
+  } catch (err) {
+    console.error(`${err.message}. Using built-in languages.`);
+  }
+
+  try {
+    return loadConfig();
+  } catch (err) {
+    // Keep the app usable; the built-in defaults are the strictest settings anyway
+    console.error(`${err.message}. Using built-in defaults.`);
+    return {
+      limits: { defaults: { ...DEFAULT_LIMITS }, max: { ...DEFAULT_MAX_LIMITS } },
+      output: { ...DEFAULT_OUTPUT_LIMITS },
+      pool: { size: 0 },
+      sessions: { ...DEFAULT_SESSION_SETTINGS },
+    };
+  }
 }
 
 function createWindow() {
@@ -46,66 +97,244 @@ function createWindow() {
     title: 'Ash Box',
   });
 
+  // A reloaded or closed renderer can no longer close its sessions itself
+  mainWindow.webContents.on('did-start-loading', () => void sessions.closeAll('closed'));
+  mainWindow.on('closed', () => {
+    mainWindow = null;
+    void sessions.closeAll('closed');
+  });
+
   mainWindow.loadFile(path.join(__dirname, 'index.html'));
 }
 
-app.whenReady().then(createWindow);
+function sendToWindow(channel, payload) {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send(channel, payload);
+  }
+}
+
+app.whenReady().then(() => {
+  createWindow();
+  void pool.startPool({ size: config.pool.size, image: BASE_IMAGE });
+  removeStaleSessions().catch(() => {});
+});
+
+app.on('will-quit', (event) => {
+  if (poolStopped) return;
+  event.preventDefault();
+  Promise.all([pool.shutdownPool(), sessions.closeAll()]).finally(() => {
+    poolStopped = true;
+    app.quit();
+  });
+});
 
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') app.quit();
 });
 
-ipcMain.handle('get-languages', () => {
-  return Object.values(LANGUAGES).map(({ id, label, hasDeps, depsLabel, depsPlaceholder }) => ({
-    id,
-    label,
-    hasDeps,
-    depsLabel,
-    depsPlaceholder,
-  }));
-});
+ipcMain.handle('get-languages', () => listLanguages());
+
+ipcMain.handle('get-limits', () => config.limits);
 
 ipcMain.handle('run-code', async (_event, payload) => {
-  const { code, languageId, dependencies } = normalizeRunPayload(payload);
+  const {
+    source,
+    languageId,
+    version: requestedVersion,
+    dependencies,
+    stdin,
+    limits: requestedLimits,
+    allowNetwork,
+    cases: requestedCases,
+  } = normalizeRunPayload(payload);
 
-  if (!code.trim()) {
+  if (!hasSourceCode(source)) {
     return { error: 'Code is required' };
   }
 
-  if (!LANGUAGES[languageId]) {
+  const lang = getLanguage(languageId);
+  if (!lang) {
     return { error: `Unsupported language: ${languageId || 'unknown'}` };
   }
 
-  if (isRunning) {
-    return { error: 'An execution is already in progress' };
+  let limits;
+  let version;
+  let deps;
+  let cases;
+  try {
+    limits = resolveLimits(requestedLimits, config.limits);
+    version = resolveVersion(lang, requestedVersion);
+    deps = parseDependencies(lang.ecosystem, dependencies);
+    cases = parseCases(requestedCases);
+  } catch (err) {
+    return { error: err.message };
+  }
+
+  if (activeJobId) {
+    return { error: 'An execution is already in progress in this window' };
   }
 
-  isRunning = true;
   if (mainWindow && !mainWindow.isDestroyed()) {
     mainWindow.webContents.send('execution-state', { running: true });
   }
 
-  const deps = parseDependencies(dependencies);
-
-  const onLine = (line, type) => {
+  const onLine = (line, type, phase, diagnostic) => {
     if (mainWindow && !mainWindow.isDestroyed()) {
-      mainWindow.webContents.send('output-line', { line, type });
+      mainWindow.webContents.send('output-line', { line, type, phase, diagnostic });
     }
   };
 
   try {
-    const result = await runExecution(code, languageId, deps, onLine);
-    return { exitCode: result.exitCode };
+    const job = jobs.submit({
+      source,
+      languageId,
+      version: version && version.id,
+      dependencies: deps,
+      stdin,
+      limits,
+      output: config.output,
+      allowNetwork,
+      cases,
+    }, onLine);
+    activeJobId = job.id;
+    const result = await jobs.waitFor(job.id);
+    if (result.status === 'failed') {
+      return { id: job.id, error: result.error, reason: result.reason };
+    }
+    return {
+      id: job.id,
+      exitCode: result.exitCode,
+      cancelled: result.status === 'cancelled',
+      reason: result.reason,
+      metrics: result.metrics,
+      limits: result.limits,
+      artifacts: jobs.getArtifacts(job.id) || [],
+      judge: jobs.getJudgeReport(job.id),
+    };
   } catch (err) {
     return { error: err.message };
   } finally {
-    isRunning = false;
+    activeJobId = null;
     if (mainWindow && !mainWindow.isDestroyed()) {
       mainWindow.webContents.send('execution-state', { running: false });
     }
   }
 });
 
+ipcMain.handle('cancel-run', (_event, jobId) => {
+  const id = typeof jobId === 'string' ? jobId : activeJobId;
+  if (!id || !jobs.cancel(id)) {
+    return { error: 'No execution is in progress' };
+  }
+  return { ok: true };
+});
+
+ipcMain.handle('list-jobs', () => jobs.list());
+
+ipcMain.handle('get-job', (_event, jobId) => {
+  return jobs.get(jobId) || { error: `Unknown job: ${jobId}` };
+});
+
+ipcMain.handle('get-job-output', (_event, jobId, since) => {
+  return jobs.getOutput(jobId, since) || { error: `Unknown job: ${jobId}` };
+});
+
+ipcMain.handle('save-artifact', async (_event, jobId, name) => {
+  const artifact = (jobs.getArtifacts(jobId) || []).find(item => item.name === name);
+  if (!artifact) {
+    return { error: `Unknown artifact: ${name}` };
+  }
+  if (!artifact.data) {
+    return { error: `Artifact no longer kept: ${name} (only recent runs keep their files)` };
+  }
+
+  const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+    defaultPath: path.basename(artifact.name),
+  });
+  if (canceled || !filePath) {
+    return { canceled: true };
+  }
+
+  try {
+    await fs.promises.writeFile(filePath, Buffer.from(artifact.data, 'base64'));
+    return { ok: true, path: filePath };
+  } catch (err) {
+    return { error: err.message };
+  }
+});
+
+ipcMain.handle('list-cache', async () => {
+  try {
+    return await depCache.listEntries();
+  } catch (err) {
+    return { error: err.message };
+  }
+});
+
+ipcMain.handle('purge-cache', async (_event, key) => {
+  try {
+    return { removed: await depCache.purge(typeof key === 'string' ? key : undefined) };
+  } catch (err) {
+    return { error: err.message };
+  }
+});
+
+ipcMain.handle('start-session', async (_event, payload) => {
+  const data = payload && typeof payload === 'object' ? payload : {};
+  const lang = getLanguage(typeof data.languageId === 'string' ? data.languageId : '');
+  if (!lang) {
+    return { error: `Unsupported language: ${data.languageId || 'unknown'}` };
+  }
+  if (!lang.replCommand) {
+    return { error: `${lang.label} has no interactive mode` };
+  }
+
+  let limits;
+  let version;
+  try {
+    limits = resolveLimits(data.limits && typeof data.limits === 'object' ? data.limits : {}, config.limits);
+    version = resolveVersion(lang, typeof data.version === 'string' ? data.version : '');
+  } catch (err) {
+    return { error: err.message };
+  }
+
+  let sessionId = null;
+  try {
+    const session = await sessions.start({
+      languageId: lang.id,
+      version: version && version.id,
+      limits,
+      allowNetwork: data.allowNetwork === true,
+      cols: Number.isInteger(data.cols) ? data.cols : undefined,
+      rows: Number.isInteger(data.rows) ? data.rows : undefined,
+    }, {
+      onData: (text) => sendToWindow('session-output', { id: sessionId, data: text }),
+      onClose: (info) => sendToWindow('session-closed', { id: sessionId, ...info }),
+    });
+    sessionId = session.id;
+    return session;
+  } catch (err) {
+    return { error: err.message };
+  }
+});
+
+ipcMain.on('session-input', (_event, id, text) => {
+  if (typeof id === 'string' && typeof text === 'string') sessions.write(id, text);
+});
+
+ipcMain.handle('resize-session', async (_event, id, cols, rows) => {
+  if (!Number.isInteger(cols) || !Number.isInteger(rows) || cols < 1 || rows < 1) {
+    return { error: 'cols and rows must be positive integers' };
+  }
+  return await sessions.resize(id, cols, rows) ? { ok: true } : { error: 'Unknown session' };
+});
+
+ipcMain.handle('close-session', async (_event, id) => (
+  await sessions.close(id) ? { ok: true } : { error: 'Unknown session' }
+));
+
+ipcMain.handle('get-pool-stats', () => pool.getStats());
+
 ipcMain.handle('check-docker', async () => {
   const docker = createDockerClient();
   try {
@@ -6,22 +6,130 @@
 const { contextBridge, ipcRenderer } = require('electron');
 
 contextBridge.exposeInMainWorld('executor', {
-  /** @returns {Promise<Array<{id, label, hasDeps, depsLabel, depsPlaceholder}>>} */
+  /** @returns {Promise<Array<{id, label, fileName, hasDeps, hasRepl, depsLabel, depsPlaceholder, starterCode, versions, defaultVersion}>>} */
   getLanguages: () => ipcRenderer.invoke('get-languages'),
 
+  /** @returns {Promise<{ defaults: object, max: object }>} limits applied when omitted, and their ceilings */
+  getLimits: () => ipcRenderer.invoke('get-limits'),
+
+  /**
+   * @param {{
+   *   languageId: string,
+   *   version?: string,
+   *   code?: string,
+   *   files?: Array<{ name: string, content: string }>,
+   *   entry?: string,
+   *   dependencies?: string,
+   *   stdin?: string,
+   *   limits?: { timeoutSec?: number, memoryMb?: number, cpus?: number, pids?: number },
+   *   allowNetwork?: boolean,
+   *   cases?: Array<{ name?: string, stdin?: string, expected: string }>,
+   * }} payload - either `code` for a single file or `files` plus an optional `entry`;
+   *              `cases` runs the program once per test case instead of once with `stdin`
+   * @returns {Promise<{ id?: string, exitCode?: number, cancelled?: boolean, reason?: string, metrics?: object|null, limits?: object, artifacts?: Array<{ name, size, mimeType, data }>, judge?: object|null, error?: string }>}
+   *          reason: success, error, timeout, oom, signal, output-limit, cancelled or infra-failure
+   *          metrics: { wallTimeMs, cpuTimeMs, peakMemoryBytes, oomKilled, signal } of the run phase
+   *          artifacts: files the program wrote to /workspace/out, data in base64
+   *          judge: { total, passed, failed, cases: [{ name, status, timeMs, diff, ... }] } for judged runs
+   */
+  runCode: (payload) => ipcRenderer.invoke('run-code', payload),
+
+  /**
+   * @param {string} [jobId] - defaults to this window's active run
+   * @returns {Promise<{ ok?: boolean, error?: string }>}
+   */
+  cancelRun: (jobId) => ipcRenderer.invoke('cancel-run', jobId),
+
+  /** @returns {Promise<Array<{id, languageId, status, position, exitCode}>>} */
+  listJobs: () => ipcRenderer.invoke('list-jobs'),
+
+  /** @param {string} jobId */
+  getJob: (jobId) => ipcRenderer.invoke('get-job', jobId),
+
   /**
-   * @param {string} code
-   * @param {string} languageId
-   * @param {string} dependencies
-   * @returns {Promise<{ exitCode?: number, error?: string }>}
+   * @param {string} jobId
+   * @param {number} [since] - index of the first line to return
+   * @returns {Promise<{ id, status, lines, nextLine } | { error: string }>}
    */
-  runCode: (code, languageId, dependencies) =>
-    ipcRenderer.invoke('run-code', { code, languageId, dependencies }),
+  getJobOutput: (jobId, since) => ipcRenderer.invoke('get-job-output', jobId, since),
+
+  /**
+   * Asks where to save an artifact of a finished run and writes it there.
+   * @param {string} jobId
+   * @param {string} name - artifact name from the run result
+   * @returns {Promise<{ ok?: boolean, path?: string, canceled?: boolean, error?: string }>}
+   */
+  saveArtifact: (jobId, name) => ipcRenderer.invoke('save-artifact', jobId, name),
+
+  /** @returns {Promise<Array<{ key, volume, languageId, dependencies, createdAt, lastUsedAt, sizeBytes }>>} */
+  listCache: () => ipcRenderer.invoke('list-cache'),
+
+  /**
+   * @param {string} [key] - purge every cached dependency layer when omitted
+   * @returns {Promise<{ removed?: number, error?: string }>}
+   */
+  purgeCache: (key) => ipcRenderer.invoke('purge-cache', key),
+
+  /** @returns {Promise<{ enabled, size, idle, warmStarts, coldStarts, avgWarmStartMs, avgColdStartMs, estimatedTimeSavedMs }>} */
+  getPoolStats: () => ipcRenderer.invoke('get-pool-stats'),
 
   /** @returns {Promise<{ ok: boolean, error?: string }>} */
   checkDocker: () => ipcRenderer.invoke('check-docker'),
 
-  /** @param {(data: { line: string, type: string }) => void} callback */
+  /**
+   * Starts an interactive session (the language's REPL in a container with a TTY).
+   * Its output arrives through onSessionOutput, tagged with the returned id.
+   * @param {{
+   *   languageId: string,
+   *   version?: string,
+   *   limits?: { memoryMb?: number, cpus?: number, pids?: number },
+   *   allowNetwork?: boolean,
+   *   cols?: number,
+   *   rows?: number,
+   * }} payload
+   * @returns {Promise<{ id?: string, languageId?: string, version?: string|null, status?: string, limits?: object, error?: string }>}
+   */
+  startSession: (payload) => ipcRenderer.invoke('start-session', payload),
+
+  /**
+   * Sends keystrokes to a session's terminal.
+   * @param {string} id
+   * @param {string} data
+   */
+  writeSession: (id, data) => ipcRenderer.send('session-input', id, data),
+
+  /**
+   * @param {string} id
+   * @param {number} cols
+   * @param {number} rows
+   * @returns {Promise<{ ok?: boolean, error?: string }>}
+   */
+  resizeSession: (id, cols, rows) => ipcRenderer.invoke('resize-session', id, cols, rows),
+
+  /**
+   * Closes a session and removes its container.
+   * @param {string} id
+   * @returns {Promise<{ ok?: boolean, error?: string }>}
+   */
+  closeSession: (id) => ipcRenderer.invoke('close-session', id),
+
+  /** @param {(data: { id: string, data: string }) => void} callback - terminal output, escape sequences included */
+  onSessionOutput: (callback) => {
+    ipcRenderer.on('session-output', (_, data) => callback(data));
+  },
+
+  /**
+   * @param {(data: { id: string, reason: string, exitCode: number|null, message: string }) => void} callback
+   *        reason: exited, closed, idle, max-duration, shutdown or error
+   */
+  onSessionClosed: (callback) => {
+    ipcRenderer.on('session-closed', (_, data) => callback(data));
+  },
+
+  /**
+   * @param {(data: { line: string, type: string, phase?: 'install'|'run', diagnostic?: object }) => void} callback
+   *        diagnostic: { file, line, column, severity, message } parsed from a compiler or runtime error
+   */
   onOutputLine: (callback) => {
     ipcRenderer.on('output-line', (_, data) => callback(data));
   },
@@ -34,5 +142,7 @@ contextBridge.exposeInMainWorld('executor', {
   removeAllListeners: () => {
     ipcRenderer.removeAllListeners('output-line');
     ipcRenderer.removeAllListeners('execution-state');
+    ipcRenderer.removeAllListeners('session-output');
+    ipcRenderer.removeAllListeners('session-closed');
   },
 });
@@ -1,78 +1,246 @@
 'use strict';
 
-const STARTER_CODE = {
-  python: `import sys\nprint(f"Python {sys.version}")\nprint("Hello from Ash Box")\n`,
-  javascript: `const os = require('os');\nconsole.log(\`Node \${process.version}\`);\nconsole.log("Hello from Ash Box");\n`,
-  go: `package main\n\nimport "fmt"\n\nfunc main() {\n\tfmt.Println("Hello from Ash Box")\n}\n`,
-  ruby: `puts RUBY_VERSION\nputs "Hello from Ash Box"\n`,
-  java: `public class Main {\n    public static void main(String[] args) {\n        System.out.println("Hello from Ash Box");\n    }\n}\n`,
-  c: `#include <stdio.h>\n\nint main() {\n    printf("Hello from Ash Box\\n");\n    return 0;\n}\n`,
-  cpp: `#include <iostream>\n\nint main() {\n    std::cout << "Hello from Ash Box" << std::endl;\n    return 0;\n}\n`,
-};
-
 const LANG_NOTICES = {
   java: 'Public class must be named Main',
 };
 
 const BRIDGE_URL = 'http://127.0.0.1:3876';
-const DEFAULT_LANGUAGES = [
-  { id: 'python', label: 'Python', hasDeps: true, depsLabel: 'pip packages', depsPlaceholder: 'e.g. requests numpy' },
-  { id: 'javascript', label: 'JavaScript', hasDeps: true, depsLabel: 'npm packages', depsPlaceholder: 'e.g. axios lodash' },
-  { id: 'go', label: 'Go', hasDeps: false, depsLabel: null, depsPlaceholder: null },
-  { id: 'ruby', label: 'Ruby', hasDeps: true, depsLabel: 'gems', depsPlaceholder: 'e.g. httparty nokogiri' },
-  { id: 'java', label: 'Java', hasDeps: false, depsLabel: null, depsPlaceholder: null },
-  { id: 'c', label: 'C', hasDeps: false, depsLabel: null, depsPlaceholder: null },
-  { id: 'cpp', label: 'C++', hasDeps: false, depsLabel: null, depsPlaceholder: null },
-];
+const BRIDGE_SESSION_URL = 'ws://127.0.0.1:3876/v1/sessions';
+const ARTIFACT_TEXT_PREVIEW_CHARS = 20000;
+const ARTIFACT_TABLE_ROWS = 100;
+// CSI sequences (SGR is the one rendered), OSC strings and other two-byte escapes
+const ANSI_PATTERN = /\x1b\[([0-9;:?]*)[ -/]*([@-~])|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)?|\x1b[@-_]/g;
+let bridgeToken = '';
+
+async function readEventStream(body, onEvent) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const flush = (text) => {
+    if (text.trim()) onEvent(JSON.parse(text));
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    let newline = buffer.indexOf('\n');
+    while (newline !== -1) {
+      flush(buffer.slice(0, newline));
+      buffer = buffer.slice(newline + 1);
+      newline = buffer.indexOf('\n');
+    }
+  }
+  flush(buffer + decoder.decode());
+}
 
 function createBridgeApi() {
   const outputListeners = [];
   const stateListeners = [];
+  const sessionOutputListeners = [];
+  const sessionClosedListeners = [];
+  // Open session sockets by session ID; closing one closes its session
+  const sessionSockets = new Map();
+  let activeJobId = null;
+
+  // Every bridge request carries the pairing token; a 401 asks the user to pair again
+  const bridgeFetch = async (path, options = {}) => {
+    const headers = { ...options.headers, Authorization: `Bearer ${bridgeToken}` };
+    const response = await fetch(`${BRIDGE_URL}${path}`, { ...options, headers });
+    if (response.status === 401) showPairForm();
+    return response;
+  };
 
   return {
     getLanguages: async () => {
       try {
-        const response = await fetch(`${BRIDGE_URL}/languages`);
+        const response = await bridgeFetch('/languages');
         if (!response.ok) throw new Error('language request failed');
         return await response.json();
       } catch (_) {
-        return DEFAULT_LANGUAGES;
+        return [];
+      }
+    },
+    getLimits: async () => {
+      try {
+        const response = await bridgeFetch('/limits');
+        if (!response.ok) throw new Error('limits request failed');
+        return await response.json();
+      } catch (_) {
+        return null;
       }
     },
     checkDocker: async () => {
       try {
-        const response = await fetch(`${BRIDGE_URL}/check-docker`);
+        const response = await bridgeFetch('/check-docker');
         return await response.json();
       } catch (error) {
         return { ok: false, error: error.message };
       }
     },
-    runCode: async (code, languageId, dependencies) => {
+    runCode: async (payload) => {
       stateListeners.forEach(cb => cb({ running: true }));
       try {
-        const response = await fetch(`${BRIDGE_URL}/run`, {
+        const response = await bridgeFetch('/run/stream', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ code, languageId, dependencies }),
+          body: JSON.stringify(payload),
         });
-        const result = await response.json();
-        if (Array.isArray(result.lines)) {
-          result.lines.forEach(item => {
-            outputListeners.forEach(cb => cb(item));
-          });
+        if (!response.ok || !response.body) {
+          return await response.json();
         }
+
+        let result = { error: 'Bridge closed the stream before the run finished' };
+        await readEventStream(response.body, (event) => {
+          if (event.event === 'job') {
+            activeJobId = event.id;
+          } else if (event.event === 'line') {
+            outputListeners.forEach(cb => cb({
+              line: event.line,
+              type: event.type,
+              phase: event.phase,
+              diagnostic: event.diagnostic,
+            }));
+          } else if (event.event === 'exit') {
+            result = {
+              id: activeJobId,
+              exitCode: event.exitCode,
+              cancelled: event.cancelled,
+              reason: event.reason,
+              metrics: event.metrics || null,
+              artifacts: event.artifacts || [],
+              judge: event.judge || null,
+            };
+          } else if (event.event === 'error') {
+            result = { error: event.error, reason: event.reason };
+          }
+        });
         return result;
       } catch (error) {
         return { error: error.message };
       } finally {
+        activeJobId = null;
         stateListeners.forEach(cb => cb({ running: false }));
       }
     },
+    cancelRun: async (jobId) => {
+      const id = jobId || activeJobId;
+      if (!id) return { error: 'No execution is in progress' };
+      try {
+        const response = await bridgeFetch(`/jobs/${id}/cancel`, { method: 'POST' });
+        return await response.json();
+      } catch (error) {
+        return { error: error.message };
+      }
+    },
+    saveArtifact: async (jobId, name) => {
+      try {
+        const response = await bridgeFetch(`/jobs/${jobId}/artifacts/${encodeURIComponent(name)}`);
+        if (!response.ok) return await response.json();
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name.split('/').pop();
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        return { ok: true };
+      } catch (error) {
+        return { error: error.message };
+      }
+    },
+    listJobs: async () => {
+      const response = await bridgeFetch('/jobs');
+      return (await response.json()).jobs;
+    },
+    getJob: async (jobId) => {
+      const response = await bridgeFetch(`/jobs/${jobId}`);
+      return await response.json();
+    },
+    getJobOutput: async (jobId, since = 0) => {
+      const response = await bridgeFetch(`/jobs/${jobId}/output?since=${since}`);
+      return await response.json();
+    },
+    listCache: async () => {
+      const response = await bridgeFetch('/cache');
+      return (await response.json()).entries;
+    },
+    purgeCache: async (key) => {
+      const path = key ? `/cache/${key}` : '/cache';
+      const response = await bridgeFetch(path, { method: 'DELETE' });
+      return await response.json();
+    },
+    getPoolStats: async () => {
+      const response = await bridgeFetch('/pool');
+      return await response.json();
+    },
+    // Each session has its own WebSocket; browsers cannot set headers on one,
+    // so the pairing token travels as a subprotocol
+    startSession: (payload) => new Promise((resolve) => {
+      let session = null;
+      let closed = null;
+      let socket;
+      try {
+        socket = new WebSocket(BRIDGE_SESSION_URL, ['ash-box.v1', `bearer.${bridgeToken}`]);
+      } catch (error) {
+        resolve({ error: error.message });
+        return;
+      }
+
+      socket.addEventListener('open', () => {
+        socket.send(JSON.stringify({ type: 'start', ...payload }));
+      });
+      socket.addEventListener('message', (event) => {
+        const message = JSON.parse(event.data);
+        if (message.type === 'started') {
+          session = message.session;
+          sessionSockets.set(session.id, socket);
+          resolve(session);
+        } else if (message.type === 'output' && session) {
+          sessionOutputListeners.forEach(cb => cb({ id: session.id, data: message.data }));
+        } else if (message.type === 'closed') {
+          closed = { reason: message.reason, exitCode: message.exitCode, message: message.message };
+        } else if (message.type === 'error') {
+          if (!session) resolve({ error: message.error.message });
+          else sessionOutputListeners.forEach(cb => cb({ id: session.id, data: `\r\n${message.error.message}\r\n` }));
+        }
+      });
+      socket.addEventListener('close', () => {
+        if (!session) {
+          // A refused handshake (bad token, bridge down) only shows up as a close
+          resolve({ error: 'Could not open a session on the bridge. Is it running, and is this panel paired?' });
+          return;
+        }
+        sessionSockets.delete(session.id);
+        const info = closed || { reason: 'closed', exitCode: null, message: 'Connection to the bridge closed' };
+        sessionClosedListeners.forEach(cb => cb({ id: session.id, ...info }));
+      });
+    }),
+    writeSession: (id, data) => {
+      const socket = sessionSockets.get(id);
+      if (socket && socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify({ type: 'input', data }));
+    },
+    resizeSession: async (id, cols, rows) => {
+      const socket = sessionSockets.get(id);
+      if (!socket || socket.readyState !== WebSocket.OPEN) return { error: 'Unknown session' };
+      socket.send(JSON.stringify({ type: 'resize', cols, rows }));
+      return { ok: true };
+    },
+    closeSession: async (id) => {
+      const socket = sessionSockets.get(id);
+      if (!socket) return { error: 'Unknown session' };
+      socket.close();
+      return { ok: true };
+    },
     onOutputLine: (callback) => outputListeners.push(callback),
     onExecutionState: (callback) => stateListeners.push(callback),
+    onSessionOutput: (callback) => sessionOutputListeners.push(callback),
+    onSessionClosed: (callback) => sessionClosedListeners.push(callback),
     removeAllListeners: () => {
       outputListeners.length = 0;
       stateListeners.length = 0;
+      sessionOutputListeners.length = 0;
+      sessionClosedListeners.length = 0;
     },
   };
 }
@@ -84,6 +252,47 @@ let currentLangId = 'python';
 let isRunning = false;
 let isConsoleOpen = false;
 const editorContent = {};
+// Current ANSI style per stream and phase; styles carry over to later lines like in a terminal
+const ansiStates = {};
+// Output lines are rendered in blocks; blocks far from view are emptied (see updateConsoleWindow)
+const CONSOLE_BLOCK_LINES = 100;
+// Blocks within this many console heights of the visible part stay rendered
+const CONSOLE_RENDER_MARGIN = 2;
+// Pixels from the bottom within which the console keeps following new output
+const CONSOLE_FOLLOW_SLACK = 40;
+let consoleBlocks = [];
+// Lines waiting for the next frame (see appendLine)
+let pendingLines = [];
+let consoleFrame = null;
+let consoleWindowFrame = null;
+// Diagnostics of the last run, shown in the editor while its language is open
+let diagnostics = [];
+let diagnosticsLangId = null;
+// Copied from node_modules by scripts/copy-editor.js. Without it the plain textarea stays.
+const MONACO_PATH = 'vendor/monaco/vs';
+const MARKER_SEVERITY = { error: 'Error', warning: 'Warning', note: 'Info' };
+const EXIT_REASON_LABELS = {
+  success: 'Success',
+  error: 'Error',
+  timeout: 'Timed out',
+  oom: 'Out of memory',
+  signal: 'Killed by signal',
+  'output-limit': 'Output limit',
+  cancelled: 'Cancelled',
+  'infra-failure': 'Executor failure',
+};
+let monacoApi = null;
+let codeEditor = null;
+
+// Interactive session shown in the terminal pane; closing the pane closes it
+let terminalSessionId = null;
+let isTerminalOpen = false;
+// Counts pane openings, so a start that resolves after its pane closed is dropped
+let terminalGeneration = 0;
+// xterm.js Terminal and its fit addon, or null when vendor/xterm is missing
+let terminal = null;
+let terminalFit = null;
+let terminalResizeObserver = null;
 
 const app = document.getElementById('app');
 const runBtn = document.getElementById('run-btn');
@@ -91,38 +300,121 @@ const clearBtn = document.getElementById('clear-btn');
 const consoleToggle = document.getElementById('console-toggle');
 const themeToggle = document.getElementById('theme-toggle');
 const depInput = document.getElementById('dep-input');
+const versionSelect = document.getElementById('version-select');
 const codeInput = document.getElementById('code-input');
+const stdinInput = document.getElementById('stdin-input');
+const networkInput = document.getElementById('network-input');
+const fileTabs = document.getElementById('file-tabs');
+const newFileInput = document.getElementById('new-file-input');
+const limitInputs = {
+  timeoutSec: document.getElementById('limit-timeout'),
+  memoryMb: document.getElementById('limit-memory'),
+  cpus: document.getElementById('limit-cpus'),
+  pids: document.getElementById('limit-pids'),
+};
 const drawer = document.getElementById('console-drawer');
+const testBtn = document.getElementById('test-btn');
+const testCasesList = document.getElementById('test-cases');
+const addCaseBtn = document.getElementById('add-case-btn');
+const pairForm = document.getElementById('pair-form');
+const pairInput = document.getElementById('pair-input');
+const terminalToggle = document.getElementById('terminal-toggle');
+const terminalDrawer = document.getElementById('terminal-drawer');
+const terminalOutput = document.getElementById('terminal-output');
+const terminalInput = document.getElementById('terminal-input');
 
 init();
 
 async function init() {
+  loadTheme();
+  clearBtn.addEventListener('click', clearConsole);
+  document.getElementById('console-output').addEventListener('scroll', scheduleConsoleWindow);
+  consoleToggle.addEventListener('click', toggleConsole);
+  themeToggle.addEventListener('click', toggleTheme);
+  pairForm.addEventListener('submit', handlePair);
+
+  await loadBridgeToken();
   languages = await api.getLanguages();
+  if (languages.length === 0) {
+    // Languages and starter code come from the runtime; nothing to edit without it
+    codeInput.disabled = true;
+    appendLine('[executor] Could not load languages from the runtime.', 'system');
+    openConsole();
+    await checkDocker();
+    runBtn.disabled = true;
+    return;
+  }
+
   languages.forEach(lang => {
-    editorContent[lang.id] = STARTER_CODE[lang.id] || '';
+    const entry = lang.fileName || 'main';
+    editorContent[lang.id] = {
+      files: [{ name: entry, content: lang.starterCode || '' }],
+      activeFile: entry,
+      version: lang.defaultVersion || null,
+      cases: [],
+    };
   });
-  currentLangId = languages[0]?.id || 'python';
-  codeInput.value = editorContent[currentLangId] || '';
+  currentLangId = languages[0].id;
+  setEditorValue(getActiveFile().content);
+  void createCodeEditor();
 
   buildLangTabs();
+  buildFileTabs();
+  buildTestCases();
+  updateVersionSelect(currentLangId);
+  applyLimitPolicy(await api.getLimits());
   updateDepInput(currentLangId);
   updateLangNotice(currentLangId);
-  loadTheme();
+  updateTerminalToggle(currentLangId);
 
-  api.onOutputLine(({ line, type }) => appendLine(line, type));
+  api.onOutputLine(({ line, type, phase, diagnostic }) => appendLine(line, type, phase, diagnostic));
   api.onExecutionState(({ running }) => {
     isRunning = running;
     setRunningState(running);
   });
+  api.onSessionOutput(({ id, data }) => {
+    if (id === terminalSessionId) writeTerminal(data);
+  });
+  api.onSessionClosed(({ id, message }) => {
+    if (id !== terminalSessionId) return;
+    terminalSessionId = null;
+    writeTerminal(`\r\n[executor] ${message}\r\n`);
+    terminalInput.disabled = true;
+  });
+
+  terminalToggle.addEventListener('click', toggleTerminal);
+  document.getElementById('terminal-close-btn').addEventListener('click', closeTerminal);
+  terminalInput.addEventListener('keydown', handleTerminalInputKey);
+  // The pane's container goes away with the page
+  window.addEventListener('pagehide', () => {
+    if (terminalSessionId) void api.closeSession(terminalSessionId);
+  });
 
   runBtn.addEventListener('click', handleRun);
-  clearBtn.addEventListener('click', clearConsole);
-  consoleToggle.addEventListener('click', toggleConsole);
-  themeToggle.addEventListener('click', toggleTheme);
+  testBtn.addEventListener('click', handleTest);
+  addCaseBtn.addEventListener('click', () => {
+    getProject().cases.push({ stdin: '', expected: '' });
+    buildTestCases();
+    testCasesList.lastElementChild.querySelector('textarea').focus();
+  });
+  versionSelect.addEventListener('change', () => {
+    getProject().version = versionSelect.value;
+  });
 
   codeInput.addEventListener('input', () => {
-    editorContent[currentLangId] = codeInput.value;
+    getActiveFile().content = codeInput.value;
+  });
+
+  document.getElementById('add-file-btn').addEventListener('click', showNewFileInput);
+  newFileInput.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      addFile(newFileInput.value.trim());
+    } else if (event.key === 'Escape') {
+      hideNewFileInput();
+    }
   });
+  newFileInput.addEventListener('blur', hideNewFileInput);
 
   document.addEventListener('keydown', (event) => {
     if ((event.ctrlKey || event.metaKey) && event.key === 'Enter' && !isRunning) {
@@ -148,18 +440,305 @@ function buildLangTabs() {
   });
 }
 
+function getProject() {
+  return editorContent[currentLangId];
+}
+
+function getActiveFile() {
+  const project = getProject();
+  return project.files.find(file => file.name === project.activeFile) || project.files[0];
+}
+
+function buildFileTabs() {
+  const project = getProject();
+  fileTabs.innerHTML = '';
+
+  project.files.forEach((file, index) => {
+    const errorCount = getFileDiagnostics(file.name).filter(item => item.severity === 'error').length;
+    const tab = document.createElement('button');
+    tab.className = 'file-tab' + (file.name === project.activeFile ? ' active' : '') + (errorCount > 0 ? ' has-errors' : '');
+    tab.textContent = file.name;
+    tab.title = (index === 0 ? `${file.name} (entry point)` : file.name)
+      + (errorCount > 0 ? ` - ${errorCount} error${errorCount === 1 ? '' : 's'}` : '');
+    tab.type = 'button';
+    tab.disabled = isRunning;
+    tab.addEventListener('click', () => switchFile(file.name));
+
+    // The entry file (always first) cannot be removed
+    if (index > 0) {
+      const remove = document.createElement('span');
+      remove.className = 'file-tab-remove';
+      remove.textContent = '\u00d7';
+      remove.title = `Remove ${file.name}`;
+      remove.addEventListener('click', (event) => {
+        event.stopPropagation();
+        if (!isRunning) removeFile(file.name);
+      });
+      tab.appendChild(remove);
+    }
+
+    fileTabs.appendChild(tab);
+  });
+
+  // Tabs are rebuilt whenever the active file changes; its markers follow
+  renderMarkers();
+}
+
+/**
+ * @returns {object[]} diagnostics of the last run for a file of the current language
+ */
+function getFileDiagnostics(fileName) {
+  if (diagnosticsLangId !== currentLangId) return [];
+  return diagnostics.filter(item => item.file === fileName);
+}
+
+/**
+ * Underlines the active file's diagnostics in the editor; hovering shows the message.
+ */
+function renderMarkers() {
+  if (!codeEditor) return;
+  const model = codeEditor.getModel();
+  const markers = getFileDiagnostics(getActiveFile().name)
+    .filter(item => item.line <= model.getLineCount())
+    .map(item => ({
+      severity: monacoApi.MarkerSeverity[MARKER_SEVERITY[item.severity]],
+      message: item.message,
+      startLineNumber: item.line,
+      startColumn: item.column || model.getLineFirstNonWhitespaceColumn(item.line) || 1,
+      endLineNumber: item.line,
+      endColumn: model.getLineMaxColumn(item.line),
+    }));
+  monacoApi.editor.setModelMarkers(model, 'ash-box', markers);
+}
+
+function formatLocation(diagnostic) {
+  return `${diagnostic.file}:${diagnostic.line}${diagnostic.column ? `:${diagnostic.column}` : ''}`;
+}
+
+function addDiagnostic(diagnostic) {
+  diagnostics.push(diagnostic);
+  if (diagnosticsLangId === currentLangId) buildFileTabs();
+}
+
+/**
+ * Opens the diagnostic's file and selects the reported line, from the column on.
+ */
+function revealDiagnostic(diagnostic) {
+  if (isRunning || !editorContent[diagnosticsLangId]) return;
+  if (currentLangId !== diagnosticsLangId) switchLanguage(diagnosticsLangId);
+  if (!getProject().files.some(file => file.name === diagnostic.file)) return;
+  switchFile(diagnostic.file);
+
+  if (codeEditor) {
+    codeEditor.revealLineInCenter(diagnostic.line);
+    codeEditor.setPosition({ lineNumber: diagnostic.line, column: diagnostic.column || 1 });
+    codeEditor.focus();
+    return;
+  }
+  const lines = codeInput.value.split('\n');
+  const index = Math.min(diagnostic.line, lines.length) - 1;
+  const lineStart = lines.slice(0, index).reduce((offset, text) => offset + text.length + 1, 0);
+  const column = diagnostic.column ? Math.min(diagnostic.column - 1, lines[index].length) : 0;
+  codeInput.focus();
+  codeInput.setSelectionRange(lineStart + column, lineStart + lines[index].length);
+  const lineHeight = parseFloat(getComputedStyle(codeInput).lineHeight);
+  codeInput.scrollTop = Math.max(0, index * lineHeight - codeInput.clientHeight / 3);
+}
+
+/**
+ * Loads Monaco through its AMD loader (vendor/monaco/vs/loader.js).
+ * @returns {Promise<object|null>} null when the editor files are missing
+ */
+function loadMonaco() {
+  const amdRequire = window.require;
+  if (typeof amdRequire !== 'function' || typeof amdRequire.config !== 'function') {
+    return Promise.resolve(null);
+  }
+  window.MonacoEnvironment = {
+    // A same-origin script: the extension's CSP does not allow blob: workers
+    getWorkerUrl: () => `${MONACO_PATH}/base/worker/workerMain.js`,
+  };
+  amdRequire.config({ paths: { vs: MONACO_PATH } });
+  return new Promise((resolve) => {
+    amdRequire(['vs/editor/editor.main'], () => resolve(window.monaco), () => resolve(null));
+  });
+}
+
+/**
+ * Replaces the textarea with Monaco once it has loaded. Until then, and for good
+ * when it is missing, the textarea is the editor.
+ */
+async function createCodeEditor() {
+  const loaded = await loadMonaco();
+  if (!loaded) return;
+  monacoApi = loaded;
+  applyEditorTheme();
+
+  codeEditor = monacoApi.editor.create(document.getElementById('code-editor'), {
+    value: codeInput.value,
+    language: getEditorLanguage(getActiveFile().name),
+    theme: 'ash-box',
+    readOnly: isRunning,
+    automaticLayout: true,
+    minimap: { enabled: false },
+    scrollBeyondLastLine: false,
+    fixedOverflowWidgets: true,
+    fontFamily: getComputedStyle(app).getPropertyValue('--font-mono').trim(),
+    fontSize: 12,
+    tabSize: 4,
+  });
+  codeInput.classList.add('hidden');
+
+  codeEditor.onDidChangeModelContent(() => {
+    getActiveFile().content = codeEditor.getValue();
+  });
+  // Monaco's own Ctrl+Enter inserts a line; here it runs the code like everywhere else
+  codeEditor.addCommand(monacoApi.KeyMod.CtrlCmd | monacoApi.KeyCode.Enter, () => {
+    if (!isRunning) runBtn.click();
+  });
+  renderMarkers();
+}
+
+function getEditorValue() {
+  return codeEditor ? codeEditor.getValue() : codeInput.value;
+}
+
+function setEditorValue(value) {
+  if (!codeEditor) {
+    codeInput.value = value;
+    return;
+  }
+  monacoApi.editor.setModelLanguage(codeEditor.getModel(), getEditorLanguage(getActiveFile().name));
+  codeEditor.setValue(value);
+}
+
+/**
+ * The entry file uses the language's monacoLanguage; other files are matched by
+ * extension (helper headers, JSON data, ...) and fall back to it.
+ */
+function getEditorLanguage(fileName) {
+  const fallback = languages.find(lang => lang.id === currentLangId)?.monacoLanguage || 'plaintext';
+  if (!monacoApi || fileName === getProject().files[0].name || !fileName.includes('.')) return fallback;
+  const extension = fileName.slice(fileName.lastIndexOf('.')).toLowerCase();
+  const match = monacoApi.languages.getLanguages().find(item => (item.extensions || []).includes(extension));
+  return match ? match.id : fallback;
+}
+
+/**
+ * Defines the editor theme from the page's CSS variables, so it follows the theme toggle.
+ */
+function applyEditorTheme() {
+  if (terminal) terminal.options.theme = getTerminalTheme();
+  if (!monacoApi) return;
+  const styles = getComputedStyle(app);
+  const color = name => styles.getPropertyValue(name).trim();
+  monacoApi.editor.defineTheme('ash-box', {
+    base: app.dataset.theme === 'light' ? 'vs' : 'vs-dark',
+    inherit: true,
+    rules: [],
+    colors: {
+      'editor.background': color('--panel'),
+      'editor.foreground': color('--text'),
+      'editorGutter.background': color('--panel'),
+      'editorLineNumber.foreground': color('--muted'),
+      'editorCursor.foreground': color('--accent'),
+    },
+  });
+  monacoApi.editor.setTheme('ash-box');
+}
+
+function switchFile(name) {
+  const project = getProject();
+  if (name === project.activeFile) return;
+  getActiveFile().content = getEditorValue();
+  project.activeFile = name;
+  setEditorValue(getActiveFile().content);
+  buildFileTabs();
+}
+
+function addFile(name) {
+  const project = getProject();
+  const valid = /^[A-Za-z0-9_.-]+(\/[A-Za-z0-9_.-]+)*$/.test(name)
+    && !name.split('/').some(segment => segment === '.' || segment === '..');
+
+  if (!name) {
+    hideNewFileInput();
+    return;
+  }
+  if (!valid) {
+    newFileInput.setCustomValidity('Use letters, digits, ".", "-", "_" and "/" only');
+    newFileInput.reportValidity();
+    return;
+  }
+  if (project.files.some(file => file.name === name)) {
+    newFileInput.setCustomValidity(`${name} already exists`);
+    newFileInput.reportValidity();
+    return;
+  }
+
+  getActiveFile().content = getEditorValue();
+  project.files.push({ name, content: '' });
+  project.activeFile = name;
+  setEditorValue('');
+  hideNewFileInput();
+  buildFileTabs();
+  (codeEditor || codeInput).focus();
+}
+
+function removeFile(name) {
+  const project = getProject();
+  project.files = project.files.filter(file => file.name !== name);
+  if (project.activeFile === name) {
+    project.activeFile = project.files[0].name;
+    setEditorValue(getActiveFile().content);
+  }
+  buildFileTabs();
+}
+
+function showNewFileInput() {
+  newFileInput.value = '';
+  newFileInput.setCustomValidity('');
+  newFileInput.classList.remove('hidden');
+  newFileInput.focus();
+}
+
+function hideNewFileInput() {
+  newFileInput.classList.add('hidden');
+  newFileInput.setCustomValidity('');
+}
+
 function switchLanguage(langId) {
   if (langId === currentLangId) return;
-  editorContent[currentLangId] = codeInput.value;
+  getActiveFile().content = getEditorValue();
   currentLangId = langId;
-  codeInput.value = editorContent[currentLangId] || '';
+  setEditorValue(getActiveFile().content);
+  buildFileTabs();
+  buildTestCases();
 
   document.querySelectorAll('.lang-tab').forEach(tab => {
     tab.classList.toggle('active', tab.dataset.langId === langId);
   });
 
+  updateVersionSelect(langId);
   updateDepInput(langId);
   updateLangNotice(langId);
+  updateTerminalToggle(langId);
+}
+
+function updateVersionSelect(langId) {
+  const lang = languages.find(item => item.id === langId);
+  const versions = lang?.versions || [];
+  versionSelect.innerHTML = '';
+  versions.forEach(version => {
+    const option = document.createElement('option');
+    option.value = version.id;
+    option.textContent = version.label;
+    versionSelect.appendChild(option);
+  });
+  versionSelect.classList.toggle('hidden', versions.length < 2);
+  if (versions.length > 0) {
+    versionSelect.value = getProject().version || lang.defaultVersion;
+  }
 }
 
 function updateDepInput(langId) {
@@ -184,18 +763,256 @@ function updateLangNotice(langId) {
   notice.style.display = text ? 'block' : 'none';
 }
 
+function updateTerminalToggle(langId) {
+  const lang = languages.find(item => item.id === langId);
+  terminalToggle.disabled = !lang?.hasRepl && !isTerminalOpen;
+  terminalToggle.title = lang?.hasRepl
+    ? `Open an interactive ${lang.label} session`
+    : 'This language has no interactive mode';
+}
+
+function applyLimitPolicy(policy) {
+  if (!policy) return;
+  Object.entries(limitInputs).forEach(([field, input]) => {
+    input.placeholder = String(policy.defaults[field]);
+    input.max = String(policy.max[field]);
+    input.title = `Default ${policy.defaults[field]}, maximum ${policy.max[field]}`;
+  });
+}
+
+function readLimits() {
+  const limits = {};
+  Object.entries(limitInputs).forEach(([field, input]) => {
+    const value = input.value.trim();
+    if (value) limits[field] = Number(value);
+  });
+  return limits;
+}
+
+function buildTestCases() {
+  const { cases } = getProject();
+  testCasesList.innerHTML = '';
+
+  cases.forEach((testCase, index) => {
+    const item = document.createElement('div');
+    item.className = 'test-case';
+
+    const header = document.createElement('div');
+    header.className = 'test-case-header';
+    const label = document.createElement('span');
+    label.textContent = `Case ${index + 1}`;
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'test-case-remove';
+    removeBtn.textContent = '\u00d7';
+    removeBtn.title = 'Remove case';
+    removeBtn.addEventListener('click', () => {
+      cases.splice(index, 1);
+      buildTestCases();
+    });
+    header.append(label, removeBtn);
+    item.appendChild(header);
+
+    [['stdin', 'Input'], ['expected', 'Expected output']].forEach(([field, placeholder]) => {
+      const textarea = document.createElement('textarea');
+      textarea.className = 'test-case-input';
+      textarea.spellcheck = false;
+      textarea.placeholder = placeholder;
+      textarea.value = testCase[field];
+      textarea.readOnly = isRunning;
+      textarea.addEventListener('input', () => {
+        testCase[field] = textarea.value;
+      });
+      item.appendChild(textarea);
+    });
+    testCasesList.appendChild(item);
+  });
+
+  document.getElementById('tests-count').textContent = cases.length > 0 ? `(${cases.length})` : '';
+  testBtn.disabled = isRunning || cases.length === 0;
+}
+
 async function handleRun() {
-  if (isRunning) return;
-  const code = codeInput.value;
-  if (!code.trim()) return;
+  if (isRunning) {
+    handleCancel();
+    return;
+  }
+  await runProject(null);
+}
+
+async function handleTest() {
+  if (isRunning || getProject().cases.length === 0) return;
+  await runProject(getProject().cases);
+}
+
+/**
+ * Runs the current project once with the stdin field, or once per test case.
+ */
+async function runProject(cases) {
+  getActiveFile().content = getEditorValue();
+  const { files } = getProject();
+  if (!files.some(file => file.content.trim())) return;
 
   clearConsole();
+  diagnosticsLangId = currentLangId;
   openConsole();
-  const dependencies = depInput.value.trim();
-  const result = await api.runCode(code, currentLangId, dependencies);
+  const result = await api.runCode({
+    languageId: currentLangId,
+    version: getProject().version || undefined,
+    files: files.map(({ name, content }) => ({ name, content })),
+    entry: files[0].name,
+    dependencies: depInput.value.trim(),
+    stdin: cases ? '' : stdinInput.value,
+    limits: readLimits(),
+    allowNetwork: networkInput.checked,
+    cases: cases ? cases.map(({ stdin, expected }) => ({ stdin, expected })) : undefined,
+  });
   if (result?.error) {
     appendLine(`[executor] ${result.error}`, 'system');
   }
+  renderJudgeReport(result?.judge);
+  renderArtifacts(result?.id, result?.artifacts);
+  renderRunFooter(result);
+}
+
+function formatDuration(ms) {
+  return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(2)} s`;
+}
+
+/**
+ * Status line under the console: why the run ended, its exit code or signal,
+ * and the resource usage the executor measured. Values it could not measure
+ * are left out.
+ */
+function renderRunFooter(result) {
+  const footer = document.getElementById('console-footer');
+  footer.innerHTML = '';
+  if (!result?.reason) {
+    footer.classList.add('hidden');
+    return;
+  }
+
+  const metrics = result.metrics || {};
+  const reason = document.createElement('span');
+  reason.className = `run-reason ${result.reason}`;
+  reason.textContent = EXIT_REASON_LABELS[result.reason] || result.reason;
+  footer.appendChild(reason);
+
+  const items = [];
+  if (metrics.signal) items.push([metrics.signal, `Exit code ${result.exitCode}`]);
+  else if (typeof result.exitCode === 'number') items.push([`exit ${result.exitCode}`, 'Exit code']);
+  if (typeof metrics.wallTimeMs === 'number') items.push([`${formatDuration(metrics.wallTimeMs)} wall`, 'Wall-clock time of the run phase']);
+  if (typeof metrics.cpuTimeMs === 'number') items.push([`${formatDuration(metrics.cpuTimeMs)} CPU`, 'CPU time used by the program']);
+  if (typeof metrics.peakMemoryBytes === 'number') items.push([`${formatSize(metrics.peakMemoryBytes)} peak`, 'Peak memory use']);
+  items.forEach(([text, title]) => {
+    const item = document.createElement('span');
+    item.className = 'run-metric';
+    item.textContent = text;
+    item.title = title;
+    footer.appendChild(item);
+  });
+  footer.classList.remove('hidden');
+}
+
+function renderJudgeReport(report) {
+  if (!report) return;
+  flushConsole();
+  const output = document.getElementById('console-output');
+  const wrapper = document.createElement('div');
+  wrapper.className = 'judge-report';
+
+  const summary = document.createElement('div');
+  summary.className = `judge-summary ${report.failed === 0 ? 'passed' : 'failed'}`;
+  summary.textContent = `${report.passed}/${report.total} test cases passed`;
+  wrapper.appendChild(summary);
+
+  const table = document.createElement('table');
+  table.className = 'judge-table';
+  const head = document.createElement('tr');
+  ['#', 'Case', 'Result', 'Time'].forEach(title => {
+    const th = document.createElement('th');
+    th.textContent = title;
+    head.appendChild(th);
+  });
+  table.appendChild(head);
+
+  report.cases.forEach(result => {
+    const row = document.createElement('tr');
+    const status = result.status === 'error' ? `error (exit ${result.exitCode})` : result.status;
+    [String(result.index + 1), result.name, status, `${result.timeMs} ms`].forEach((text, column) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      if (column === 2) td.className = `judge-status ${result.status}`;
+      row.appendChild(td);
+    });
+    table.appendChild(row);
+
+    if (!result.passed && result.diff.length > 0) {
+      const diffRow = document.createElement('tr');
+      const cell = document.createElement('td');
+      cell.colSpan = 4;
+      const pre = document.createElement('pre');
+      pre.className = 'judge-diff';
+      result.diff.forEach(line => {
+        const span = document.createElement('span');
+        if (line.startsWith('- ')) span.className = 'diff-expected';
+        else if (line.startsWith('+ ')) span.className = 'diff-actual';
+        else if (line.startsWith('@@')) span.className = 'diff-gap';
+        span.textContent = `${line}\n`;
+        pre.appendChild(span);
+      });
+      cell.appendChild(pre);
+      diffRow.appendChild(cell);
+      table.appendChild(diffRow);
+    }
+  });
+
+  wrapper.appendChild(table);
+  output.appendChild(wrapper);
+  output.scrollTop = output.scrollHeight;
+}
+
+async function handleCancel() {
+  runBtn.disabled = true;
+  runBtn.textContent = 'Stopping...';
+  const result = await api.cancelRun();
+  if (result?.error) {
+    appendLine(`[executor] ${result.error}`, 'system');
+    runBtn.disabled = false;
+    runBtn.textContent = isRunning ? 'Stop' : 'Run';
+  }
+}
+
+function loadBridgeToken() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(['bridgeToken'], (result) => {
+      bridgeToken = result.bridgeToken || '';
+      resolve();
+    });
+  });
+}
+
+function saveBridgeToken(token) {
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ bridgeToken: token }, resolve);
+  });
+}
+
+function showPairForm() {
+  if (!pairForm.classList.contains('hidden')) return;
+  pairForm.classList.remove('hidden');
+  appendLine('[executor] The bridge needs a pairing token.', 'system');
+  appendLine('[executor] Paste the token printed when the bridge starts (also in ~/.ash-box/bridge-token).', 'system');
+  openConsole();
+  pairInput.focus();
+}
+
+async function handlePair(event) {
+  event.preventDefault();
+  const token = pairInput.value.trim();
+  if (!token) return;
+  await saveBridgeToken(token);
+  location.reload();
 }
 
 async function checkDocker() {
@@ -219,30 +1036,518 @@ async function checkDocker() {
   }
 }
 
-function appendLine(text, type) {
+function createAnsiState() {
+  return { bold: false, dim: false, italic: false, underline: false, fg: null, bg: null };
+}
+
+/**
+ * 256-color index to a palette index (0-15, themed via CSS) or an rgb() string.
+ */
+function ansi256Color(index) {
+  if (!Number.isInteger(index) || index < 0 || index > 255) return null;
+  if (index < 16) return index;
+  if (index >= 232) {
+    const level = 8 + (index - 232) * 10;
+    return `rgb(${level}, ${level}, ${level})`;
+  }
+  const steps = [0, 95, 135, 175, 215, 255];
+  const cube = index - 16;
+  return `rgb(${steps[Math.floor(cube / 36)]}, ${steps[Math.floor(cube / 6) % 6]}, ${steps[cube % 6]})`;
+}
+
+function applySgr(state, params) {
+  const codes = params === '' ? [0] : params.split(/[;:]/).map(code => (code === '' ? 0 : Number(code)));
+  for (let i = 0; i < codes.length; i += 1) {
+    const code = codes[i];
+    if (code === 0) Object.assign(state, createAnsiState());
+    else if (code === 1) state.bold = true;
+    else if (code === 2) state.dim = true;
+    else if (code === 3) state.italic = true;
+    else if (code === 4) state.underline = true;
+    else if (code === 22) Object.assign(state, { bold: false, dim: false });
+    else if (code === 23) state.italic = false;
+    else if (code === 24) state.underline = false;
+    else if (code >= 30 && code <= 37) state.fg = code - 30;
+    else if (code >= 90 && code <= 97) state.fg = code - 90 + 8;
+    else if (code === 39) state.fg = null;
+    else if (code >= 40 && code <= 47) state.bg = code - 40;
+    else if (code >= 100 && code <= 107) state.bg = code - 100 + 8;
+    else if (code === 49) state.bg = null;
+    else if (code === 38 || code === 48) {
+      const key = code === 38 ? 'fg' : 'bg';
+      if (codes[i + 1] === 5) {
+        state[key] = ansi256Color(codes[i + 2]);
+        i += 2;
+      } else if (codes[i + 1] === 2) {
+        const rgb = codes.slice(i + 2, i + 5).map(value => Math.min(255, Math.max(0, value || 0)));
+        state[key] = `rgb(${rgb.join(', ')})`;
+        i += 4;
+      }
+    }
+  }
+}
+
+function createAnsiSpan(text, state) {
+  const span = document.createElement('span');
+  const classes = [];
+  if (state.bold) classes.push('ansi-bold');
+  if (state.dim) classes.push('ansi-dim');
+  if (state.italic) classes.push('ansi-italic');
+  if (state.underline) classes.push('ansi-underline');
+  if (typeof state.fg === 'number') classes.push(`ansi-fg-${state.fg}`);
+  else if (state.fg) span.style.color = state.fg;
+  if (typeof state.bg === 'number') classes.push(`ansi-bg-${state.bg}`);
+  else if (state.bg) span.style.backgroundColor = state.bg;
+  span.className = classes.join(' ');
+  span.textContent = text;
+  return span;
+}
+
+/**
+ * Appends `text` to `parent` as styled spans, updating `state` with every SGR
+ * sequence. Other escape sequences (cursor moves, erase line, titles) are dropped.
+ * Without a parent only the state is updated.
+ */
+function renderAnsi(text, state, parent) {
+  let lastIndex = 0;
+  const flush = (end) => {
+    if (parent && end > lastIndex) {
+      const chunk = text.slice(lastIndex, end);
+      const styled = Object.values(state).some(value => value !== null && value !== false);
+      parent.appendChild(styled ? createAnsiSpan(chunk, state) : document.createTextNode(chunk));
+    }
+  };
+
+  for (const match of text.matchAll(ANSI_PATTERN)) {
+    flush(match.index);
+    if (match[2] === 'm') applySgr(state, match[1]);
+    lastIndex = match.index + match[0].length;
+  }
+  flush(text.length);
+}
+
+/**
+ * Queues an output line; queued lines are added once per frame, so a burst of
+ * output costs one layout instead of one per line.
+ */
+function appendLine(text, type, phase, diagnostic) {
+  pendingLines.push({ text, type, phase, diagnostic });
+  if (consoleFrame === null) consoleFrame = requestAnimationFrame(flushConsole);
+}
+
+/**
+ * Adds the queued lines. The console keeps following the output while it is
+ * scrolled to the bottom; otherwise it stays where the user left it.
+ */
+function flushConsole() {
+  if (consoleFrame !== null) cancelAnimationFrame(consoleFrame);
+  consoleFrame = null;
+  if (pendingLines.length === 0) return;
+
   const output = document.getElementById('console-output');
+  const following = output.scrollHeight - output.scrollTop - output.clientHeight < CONSOLE_FOLLOW_SLACK;
+  pendingLines.splice(0).forEach(({ text, type, phase, diagnostic }) => addConsoleLine(text, type, phase, diagnostic));
+  if (following) output.scrollTop = output.scrollHeight;
+  updateConsoleWindow();
+}
+
+function addConsoleLine(text, type, phase, diagnostic) {
+  const output = document.getElementById('console-output');
+  const stream = type || 'stdout';
+  const stateKey = `${stream}:${phase || ''}`;
+  if (!ansiStates[stateKey]) ansiStates[stateKey] = createAnsiState();
+  const state = ansiStates[stateKey];
+
+  // A carriage return goes back to the start of the line: only what follows the
+  // last one stays visible, and a line starting with one redraws the previous line
+  // of the same stream (progress bars).
+  const visible = text.replace(/\r+$/, '');
+  const lastReturn = visible.lastIndexOf('\r');
+  if (lastReturn !== -1) renderAnsi(visible.slice(0, lastReturn), state, null);
+  const entry = {
+    content: visible.slice(lastReturn + 1),
+    stream,
+    phase: phase || '',
+    state: { ...state },
+    diagnostic,
+  };
+  renderAnsi(entry.content, state, null);
+  if (diagnostic) addDiagnostic(diagnostic);
+
+  // Lines after a judge report or artifacts start a new block below them
+  const lastBlock = consoleBlocks[consoleBlocks.length - 1];
+  const block = lastBlock && output.lastElementChild === lastBlock.element ? lastBlock : null;
+  const previous = block && block.entries[block.entries.length - 1];
+  if (text.startsWith('\r') && previous && previous.stream === stream && previous.phase === entry.phase) {
+    block.entries[block.entries.length - 1] = entry;
+    block.element.lastElementChild.replaceWith(renderConsoleLine(entry));
+    return;
+  }
+
+  let target = block;
+  if (!target || target.entries.length >= CONSOLE_BLOCK_LINES) {
+    const element = document.createElement('div');
+    element.className = 'console-block';
+    target = { element, entries: [], collapsed: false };
+    consoleBlocks.push(target);
+    output.appendChild(element);
+  }
+  target.entries.push(entry);
+  target.element.appendChild(renderConsoleLine(entry));
+}
+
+function renderConsoleLine(entry) {
   const line = document.createElement('div');
-  line.className = `console-line ${type || 'stdout'}`;
-  line.textContent = text;
-  output.appendChild(line);
+  line.className = `console-line ${entry.stream}`;
+  if (entry.phase) {
+    const tag = document.createElement('span');
+    tag.className = `phase-tag ${entry.phase}`;
+    tag.textContent = entry.phase;
+    line.appendChild(tag);
+  }
+  renderAnsi(entry.content, { ...entry.state }, line);
+  const { diagnostic } = entry;
+  if (diagnostic) {
+    line.classList.add('has-diagnostic', diagnostic.severity);
+    line.title = `${formatLocation(diagnostic)}: ${diagnostic.message}\nClick to show in the editor`;
+    line.addEventListener('click', () => revealDiagnostic(diagnostic));
+  }
+  return line;
+}
+
+/**
+ * Keeps only the blocks near the visible part of the console rendered. Blocks
+ * further away are emptied and hold their measured height, so scrolling is
+ * unchanged. The last block always stays rendered, since lines are added to it.
+ */
+function updateConsoleWindow() {
+  const output = document.getElementById('console-output');
+  const margin = output.clientHeight * CONSOLE_RENDER_MARGIN;
+  const top = output.scrollTop - margin;
+  const bottom = output.scrollTop + output.clientHeight + margin;
+
+  // Measure everything first; every change below moves the blocks after it
+  const bounds = consoleBlocks.map(block => [block.element.offsetTop, block.element.offsetHeight]);
+  consoleBlocks.forEach((block, index) => {
+    const [start, height] = bounds[index];
+    const near = start + height >= top && start <= bottom;
+    if (block.collapsed && near) {
+      block.element.style.height = '';
+      block.element.replaceChildren(...block.entries.map(renderConsoleLine));
+      block.collapsed = false;
+    } else if (!block.collapsed && !near && index < consoleBlocks.length - 1) {
+      block.element.style.height = `${height}px`;
+      block.element.replaceChildren();
+      block.collapsed = true;
+    }
+  });
+}
+
+function scheduleConsoleWindow() {
+  if (consoleWindowFrame !== null) return;
+  consoleWindowFrame = requestAnimationFrame(() => {
+    consoleWindowFrame = null;
+    updateConsoleWindow();
+  });
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function decodeArtifactText(artifact) {
+  const bytes = Uint8Array.from(atob(artifact.data), char => char.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Splits CSV/TSV text into rows, honouring double-quoted fields.
+ */
+function parseDelimited(text, delimiter, maxRows) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length && rows.length < maxRows; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n') {
+      rows.push([...row, field.replace(/\r$/, '')]);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if ((field || row.length > 0) && rows.length < maxRows) rows.push([...row, field]);
+  return rows;
+}
+
+function buildArtifactTable(text, delimiter) {
+  const table = document.createElement('table');
+  parseDelimited(text, delimiter, ARTIFACT_TABLE_ROWS).forEach((cells, index) => {
+    const tr = document.createElement('tr');
+    cells.forEach(cell => {
+      const td = document.createElement(index === 0 ? 'th' : 'td');
+      td.textContent = cell;
+      tr.appendChild(td);
+    });
+    table.appendChild(tr);
+  });
+  return table;
+}
+
+/**
+ * Images (SVG included, rendered as <img> so scripts never run), CSV/TSV as
+ * tables and other text as-is. Binary formats get no preview.
+ */
+function buildArtifactPreview(artifact) {
+  const { mimeType } = artifact;
+  if (mimeType.startsWith('image/')) {
+    const img = document.createElement('img');
+    img.src = `data:${mimeType};base64,${artifact.data}`;
+    img.alt = artifact.name;
+    return img;
+  }
+  if (mimeType === 'text/csv' || mimeType === 'text/tab-separated-values') {
+    return buildArtifactTable(decodeArtifactText(artifact), mimeType === 'text/csv' ? ',' : '\t');
+  }
+  if (mimeType.startsWith('text/') || mimeType === 'application/json' || mimeType === 'application/xml') {
+    let text = decodeArtifactText(artifact);
+    if (mimeType === 'application/json') {
+      try { text = JSON.stringify(JSON.parse(text), null, 2); } catch (_) {}
+    }
+    const pre = document.createElement('pre');
+    pre.textContent = text.length > ARTIFACT_TEXT_PREVIEW_CHARS
+      ? `${text.slice(0, ARTIFACT_TEXT_PREVIEW_CHARS)}\n...`
+      : text;
+    return pre;
+  }
+  return null;
+}
+
+function renderArtifacts(jobId, artifacts) {
+  if (!jobId || !artifacts || artifacts.length === 0) return;
+  flushConsole();
+  const output = document.getElementById('console-output');
+  const list = document.createElement('div');
+  list.className = 'artifact-list';
+
+  artifacts.forEach(artifact => {
+    const item = document.createElement('div');
+    item.className = 'artifact';
+
+    const header = document.createElement('div');
+    header.className = 'artifact-header';
+    const name = document.createElement('span');
+    name.className = 'artifact-name';
+    name.textContent = artifact.name;
+    const size = document.createElement('span');
+    size.className = 'artifact-size';
+    size.textContent = formatSize(artifact.size);
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'button';
+    saveBtn.className = 'ghost-btn';
+    saveBtn.textContent = 'Save';
+    saveBtn.addEventListener('click', async () => {
+      const result = await api.saveArtifact(jobId, artifact.name);
+      if (result?.error) appendLine(`[executor] ${result.error}`, 'system');
+    });
+    header.append(name, size, saveBtn);
+    item.appendChild(header);
+
+    const preview = buildArtifactPreview(artifact);
+    if (preview) {
+      preview.classList.add('artifact-preview');
+      item.appendChild(preview);
+    }
+    list.appendChild(item);
+  });
+
+  output.appendChild(list);
   output.scrollTop = output.scrollHeight;
 }
 
 function clearConsole() {
+  if (consoleFrame !== null) cancelAnimationFrame(consoleFrame);
+  consoleFrame = null;
+  pendingLines = [];
+  consoleBlocks = [];
   document.getElementById('console-output').innerHTML = '';
+  renderRunFooter(null);
+  Object.keys(ansiStates).forEach(key => { delete ansiStates[key]; });
+  // Markers go with the console lines that report them
+  diagnostics = [];
+  if (editorContent[currentLangId]) buildFileTabs();
 }
 
 function setRunningState(running) {
-  runBtn.disabled = running;
-  runBtn.textContent = running ? 'Running...' : 'Run';
+  runBtn.disabled = false;
+  runBtn.textContent = running ? 'Stop' : 'Run';
+  runBtn.classList.toggle('stop', running);
   depInput.disabled = running;
+  versionSelect.disabled = running;
   codeInput.readOnly = running;
+  if (codeEditor) codeEditor.updateOptions({ readOnly: running });
+  stdinInput.readOnly = running;
+  networkInput.disabled = running;
+  Object.values(limitInputs).forEach(input => {
+    input.disabled = running;
+  });
+  testBtn.disabled = running || getProject().cases.length === 0;
+  document.querySelectorAll('.test-case-input').forEach(input => {
+    input.readOnly = running;
+  });
 
-  document.querySelectorAll('.lang-tab').forEach(tab => {
+  document.querySelectorAll('.lang-tab, .file-tab, #add-file-btn, #add-case-btn, .test-case-remove').forEach(tab => {
     tab.disabled = running;
   });
 }
 
+function createTerminalView() {
+  terminalOutput.innerHTML = '';
+  if (window.Terminal && window.FitAddon) {
+    terminal = new window.Terminal({
+      cursorBlink: true,
+      fontFamily: getComputedStyle(app).getPropertyValue('--font-mono').trim() || 'monospace',
+      fontSize: 12,
+      theme: getTerminalTheme(),
+    });
+    terminalFit = new window.FitAddon.FitAddon();
+    terminal.loadAddon(terminalFit);
+    terminal.open(terminalOutput);
+    terminalFit.fit();
+    terminal.onData((data) => {
+      if (terminalSessionId) api.writeSession(terminalSessionId, data);
+    });
+    terminal.onResize(({ cols, rows }) => {
+      if (terminalSessionId) void api.resizeSession(terminalSessionId, cols, rows);
+    });
+    terminalResizeObserver = new ResizeObserver(() => terminalFit.fit());
+    terminalResizeObserver.observe(terminalOutput);
+  } else {
+    // Without xterm.js: plain text output and a line input
+    terminalOutput.classList.add('plain');
+    terminalInput.classList.remove('hidden');
+    terminalInput.disabled = false;
+  }
+}
+
+function getTerminalTheme() {
+  const styles = getComputedStyle(app);
+  const color = name => styles.getPropertyValue(name).trim();
+  return {
+    background: color('--bg-soft'),
+    foreground: color('--text'),
+    cursor: color('--accent'),
+    selectionBackground: color('--border'),
+  };
+}
+
+function disposeTerminalView() {
+  if (terminalResizeObserver) terminalResizeObserver.disconnect();
+  if (terminal) terminal.dispose();
+  terminal = null;
+  terminalFit = null;
+  terminalResizeObserver = null;
+  terminalOutput.innerHTML = '';
+  terminalOutput.classList.remove('plain');
+  terminalInput.classList.add('hidden');
+  terminalInput.value = '';
+}
+
+function writeTerminal(data) {
+  if (terminal) {
+    terminal.write(data);
+    return;
+  }
+  // The plain view has no cursor to move, so escapes and carriage returns are dropped
+  const text = data
+    .replace(ANSI_PATTERN, '')
+    .replace(/\r\n/g, '\n')
+    .replace(/[\x00-\x08\x0b-\x1f\x7f]/g, '');
+  terminalOutput.appendChild(document.createTextNode(text));
+  terminalOutput.scrollTop = terminalOutput.scrollHeight;
+}
+
+function handleTerminalInputKey(event) {
+  if (!terminalSessionId) return;
+  if (event.key === 'Enter') {
+    event.preventDefault();
+    api.writeSession(terminalSessionId, `${terminalInput.value}\r`);
+    terminalInput.value = '';
+  } else if (event.ctrlKey && (event.key === 'c' || event.key === 'd') && !terminalInput.value) {
+    event.preventDefault();
+    api.writeSession(terminalSessionId, event.key === 'c' ? '\x03' : '\x04');
+  }
+}
+
+async function openTerminal() {
+  const lang = languages.find(item => item.id === currentLangId);
+  if (!lang?.hasRepl || isTerminalOpen) return;
+  isTerminalOpen = true;
+  const generation = ++terminalGeneration;
+  terminalDrawer.classList.remove('hidden');
+  const version = lang.versions?.find(item => item.id === getProject().version);
+  document.getElementById('terminal-title').textContent = `Terminal · ${lang.label}${version ? ` ${version.label}` : ''}`;
+  createTerminalView();
+  writeTerminal(`[executor] Starting ${lang.label}...\r\n`);
+
+  const result = await api.startSession({
+    languageId: lang.id,
+    version: getProject().version || undefined,
+    limits: readLimits(),
+    allowNetwork: networkInput.checked,
+    cols: terminal ? terminal.cols : undefined,
+    rows: terminal ? terminal.rows : undefined,
+  });
+  // Closed while the container was starting
+  if (generation !== terminalGeneration) {
+    if (!result.error) void api.closeSession(result.id);
+    return;
+  }
+  if (result.error) {
+    writeTerminal(`[executor] ${result.error}\r\n`);
+    terminalInput.disabled = true;
+    return;
+  }
+  terminalSessionId = result.id;
+  if (terminal) terminal.focus();
+  else terminalInput.focus();
+}
+
+function closeTerminal() {
+  if (!isTerminalOpen) return;
+  isTerminalOpen = false;
+  terminalGeneration += 1;
+  terminalDrawer.classList.add('hidden');
+  if (terminalSessionId) void api.closeSession(terminalSessionId);
+  terminalSessionId = null;
+  disposeTerminalView();
+  updateTerminalToggle(currentLangId);
+}
+
+function toggleTerminal() {
+  if (isTerminalOpen) closeTerminal();
+  else void openTerminal();
+}
+
 function openConsole() {
   isConsoleOpen = true;
   drawer.classList.remove('hidden');
@@ -263,6 +1568,7 @@ function loadTheme() {
     const theme = result.ashBoxTheme || 'dark';
     app.dataset.theme = theme;
     themeToggle.textContent = theme === 'dark' ? 'Light' : 'Dark';
+    applyEditorTheme();
   });
 }
 
@@ -271,4 +1577,5 @@ function toggleTheme() {
   app.dataset.theme = nextTheme;
   chrome.storage.local.set({ ashBoxTheme: nextTheme });
   themeToggle.textContent = nextTheme === 'dark' ? 'Light' : 'Dark';
+  applyEditorTheme();
 }
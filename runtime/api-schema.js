@@ -0,0 +1,528 @@
+/**
+ * api-schema.js
+ * Request and response schemas of the bridge's /v1 API, and the validator
+ * that checks run requests and session socket messages against them.
+ *
+ * Schemas are plain JSON Schema objects, so the same definitions are served
+ * in the OpenAPI document (see openapi.js). The validator understands the
+ * subset used here: type (including 'integer' and type lists), properties,
+ * required, additionalProperties: false, items, enum, pattern, minimum,
+ * maximum, minLength, maxLength, minItems and maxItems. `$ref` is only used
+ * by response schemas, which are documented but never validated.
+ *
+ * Validation errors name the offending field as a path into the payload,
+ * e.g. { field: 'cases[2].expected', message: 'cases[2].expected must be a string' }.
+ */
+
+'use strict';
+
+const { LIMIT_RULES } = require('./limits');
+const { MAX_CASES } = require('./judge');
+const { MAX_PROJECT_FILES } = require('./executor');
+const { EXIT_REASONS } = require('./metrics');
+const { CLOSE_REASONS } = require('./sessions');
+
+const API_VERSION = '1.0.0';
+
+const TYPE_NAMES = {
+  object: 'an object',
+  array: 'an array',
+  string: 'a string',
+  integer: 'a whole number',
+  number: 'a number',
+  boolean: 'a boolean',
+  null: 'null',
+};
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'object': return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+function joinField(parent, key) {
+  if (typeof key === 'number') return `${parent}[${key}]`;
+  return parent ? `${parent}.${key}` : key;
+}
+
+/**
+ * Checks a value against a schema.
+ * @param {object} schema
+ * @param {unknown} value
+ * @param {string} [field] - path of value in the payload, used in messages
+ * @returns {Array<{ field: string, message: string }>} empty when the value is valid
+ */
+function validate(schema, value, field = '') {
+  const label = field || 'body';
+  const fail = message => [{ field: label, message: `${label} ${message}` }];
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(type, value))) {
+      return fail(`must be ${types.map(type => TYPE_NAMES[type]).join(' or ')}`);
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail(`must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      return fail(`must match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) return fail(`must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) return fail(`must be at most ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return fail(`must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      return value.flatMap((item, index) => validate(schema.items, item, joinField(field, index)));
+    }
+    return [];
+  }
+
+  if (matchesType('object', value) && (schema.properties || schema.required)) {
+    const properties = schema.properties || {};
+    const errors = [];
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        const name = joinField(field, key);
+        errors.push({ field: name, message: `${name} is required` });
+      }
+    });
+    Object.keys(value).forEach(key => {
+      const name = joinField(field, key);
+      if (properties[key]) {
+        if (value[key] !== undefined) errors.push(...validate(properties[key], value[key], name));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: name, message: `${name} is not a known field` });
+      }
+    });
+    return errors;
+  }
+
+  return [];
+}
+
+function limitSchema(field, max) {
+  const rule = LIMIT_RULES[field];
+  const schema = { type: rule.integer ? 'integer' : 'number', minimum: rule.min, description: rule.label };
+  if (max[field] !== undefined) schema.maximum = max[field];
+  return schema;
+}
+
+/**
+ * The run request accepted by POST /v1/run, /v1/run/stream and /v1/jobs.
+ * Limit maximums come from the config, so the document shows this bridge's ceilings.
+ * @param {{ defaults: object, max: object }} policy - loadConfig().limits
+ */
+function buildRunRequestSchema(policy) {
+  return {
+    type: 'object',
+    additionalProperties: false,
+    required: ['languageId'],
+    description: 'Send either `code` or `files`.',
+    properties: {
+      languageId: { type: 'string', minLength: 1, description: 'An `id` from GET /v1/languages' },
+      version: { type: 'string', description: 'One of the language\'s `versions`; defaults to `defaultVersion`' },
+      code: { type: 'string', description: 'Source of a single-file program' },
+      files: {
+        type: 'array',
+        minItems: 1,
+        maxItems: MAX_PROJECT_FILES,
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['name', 'content'],
+          properties: {
+            name: { type: 'string', minLength: 1, description: 'Relative path such as `src/util.py`' },
+            content: { type: 'string' },
+          },
+        },
+      },
+      entry: { type: 'string', description: 'Entry file name; defaults to the language\'s `fileName` from GET /v1/languages' },
+      dependencies: { type: 'string', description: 'Dependency specs separated by spaces or commas' },
+      stdin: { type: 'string' },
+      limits: {
+        type: 'object',
+        additionalProperties: false,
+        properties: Object.fromEntries(Object.keys(LIMIT_RULES).map(field => [field, limitSchema(field, policy.max)])),
+      },
+      allowNetwork: { type: 'boolean', description: 'Keep networking enabled while the program runs' },
+      cases: {
+        type: 'array',
+        maxItems: MAX_CASES,
+        description: 'Judge the program once per case instead of running it once',
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['expected'],
+          properties: {
+            name: { type: 'string', maxLength: 80 },
+            stdin: { type: 'string' },
+            expected: { type: 'string' },
+          },
+        },
+      },
+    },
+  };
+}
+
+const TERMINAL_SIZE = { type: 'integer', minimum: 1, maximum: 1000 };
+
+/**
+ * Messages a client sends over a session socket (see the bridge's /v1/sessions),
+ * one schema per `type`.
+ * @param {{ defaults: object, max: object }} policy - loadConfig().limits
+ */
+function buildSessionMessageSchemas(policy) {
+  const type = name => ({ type: 'string', enum: [name] });
+  return {
+    SessionStart: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['type', 'languageId'],
+      description: 'First message: starts the language\'s REPL. `limits.timeoutSec` does not apply to sessions.',
+      properties: {
+        type: type('start'),
+        languageId: { type: 'string', minLength: 1, description: 'An `id` from GET /v1/languages with `hasRepl`' },
+        version: { type: 'string' },
+        limits: buildRunRequestSchema(policy).properties.limits,
+        allowNetwork: { type: 'boolean' },
+        cols: TERMINAL_SIZE,
+        rows: TERMINAL_SIZE,
+      },
+    },
+    SessionInput: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['type', 'data'],
+      description: 'Keystrokes or pasted text for the TTY',
+      properties: { type: type('input'), data: { type: 'string', maxLength: 65536 } },
+    },
+    SessionResize: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['type', 'cols', 'rows'],
+      properties: { type: type('resize'), cols: TERMINAL_SIZE, rows: TERMINAL_SIZE },
+    },
+  };
+}
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const nullable = schema => ({ anyOf: [schema, { type: 'null' }] });
+
+const LIMITS_SCHEMA = {
+  type: 'object',
+  properties: Object.fromEntries(Object.keys(LIMIT_RULES).map(field => [
+    field,
+    { type: LIMIT_RULES[field].integer ? 'integer' : 'number' },
+  ])),
+};
+
+const DIAGNOSTIC_SCHEMA = {
+  type: 'object',
+  properties: {
+    file: { type: 'string' },
+    line: { type: 'integer' },
+    column: { type: ['integer', 'null'] },
+    severity: { type: 'string', enum: ['error', 'warning', 'note'] },
+    message: { type: 'string' },
+  },
+};
+
+const OUTPUT_LINE_SCHEMA = {
+  type: 'object',
+  required: ['line', 'type'],
+  properties: {
+    line: { type: 'string' },
+    type: { type: 'string', enum: ['stdout', 'stderr', 'system'] },
+    phase: { type: 'string', enum: ['install', 'run'] },
+    diagnostic: ref('Diagnostic'),
+  },
+};
+
+const METRICS_SCHEMA = {
+  type: 'object',
+  properties: {
+    wallTimeMs: { type: 'integer' },
+    cpuTimeMs: { type: ['integer', 'null'] },
+    peakMemoryBytes: { type: ['integer', 'null'] },
+    oomKilled: { type: 'boolean' },
+    signal: { type: ['string', 'null'] },
+  },
+};
+
+const ARTIFACT_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    size: { type: 'integer' },
+    mimeType: { type: 'string' },
+    data: { type: 'string', description: 'Base64 file contents' },
+  },
+};
+
+const JUDGE_REPORT_SCHEMA = {
+  type: 'object',
+  properties: {
+    total: { type: 'integer' },
+    passed: { type: 'integer' },
+    failed: { type: 'integer' },
+    cases: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          index: { type: 'integer' },
+          name: { type: 'string' },
+          status: { type: 'string', enum: ['passed', 'failed', 'error', 'timeout'] },
+          passed: { type: 'boolean' },
+          timedOut: { type: 'boolean' },
+          exitCode: { type: ['integer', 'null'] },
+          timeMs: { type: 'integer' },
+          actual: { type: 'string' },
+          diff: { type: 'array', items: { type: 'string' } },
+        },
+      },
+    },
+  },
+};
+
+const REASON_SCHEMA = { type: ['string', 'null'], enum: [...EXIT_REASONS, null] };
+
+const JOB_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    languageId: { type: 'string' },
+    version: { type: ['string', 'null'] },
+    status: { type: 'string', enum: ['queued', 'running', 'completed', 'failed', 'cancelled'] },
+    position: { type: ['integer', 'null'], description: 'Place in the queue while queued' },
+    createdAt: { type: 'string', format: 'date-time' },
+    startedAt: { type: ['string', 'null'], format: 'date-time' },
+    finishedAt: { type: ['string', 'null'], format: 'date-time' },
+    exitCode: { type: ['integer', 'null'] },
+    reason: REASON_SCHEMA,
+    metrics: nullable(ref('Metrics')),
+    error: { type: ['string', 'null'] },
+    limits: nullable(ref('Limits')),
+    lineCount: { type: 'integer' },
+    artifacts: {
+      type: 'array',
+      items: { type: 'object', properties: { name: { type: 'string' }, size: { type: 'integer' }, mimeType: { type: 'string' } } },
+    },
+    judge: {
+      type: ['object', 'null'],
+      properties: { total: { type: 'integer' }, passed: { type: 'integer' }, failed: { type: 'integer' } },
+    },
+  },
+};
+
+const RUN_RESULT_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    exitCode: { type: ['integer', 'null'] },
+    cancelled: { type: 'boolean' },
+    reason: REASON_SCHEMA,
+    metrics: nullable(ref('Metrics')),
+    limits: nullable(ref('Limits')),
+    artifacts: { type: 'array', items: ref('Artifact') },
+    judge: nullable(ref('JudgeReport')),
+    lines: { type: 'array', items: ref('OutputLine') },
+  },
+};
+
+const RUN_EVENT_SCHEMA = {
+  type: 'object',
+  description: 'One NDJSON line of a streamed run: `job` first, then `line` events, then `exit` or `error`',
+  required: ['event'],
+  properties: {
+    event: { type: 'string', enum: ['job', 'line', 'exit', 'error'] },
+    id: { type: 'string', description: '`job` events' },
+    line: { type: 'string', description: '`line` events' },
+    type: { type: 'string', enum: ['stdout', 'stderr', 'system'] },
+    phase: { type: 'string', enum: ['install', 'run'] },
+    diagnostic: ref('Diagnostic'),
+    exitCode: { type: ['integer', 'null'], description: '`exit` events, with the fields of RunResult except `id` and `lines`' },
+    cancelled: { type: 'boolean' },
+    reason: REASON_SCHEMA,
+    metrics: nullable(ref('Metrics')),
+    limits: nullable(ref('Limits')),
+    artifacts: { type: 'array', items: ref('Artifact') },
+    judge: nullable(ref('JudgeReport')),
+    error: ref('Error'),
+  },
+};
+
+const LANGUAGE_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    label: { type: 'string' },
+    monacoLanguage: { type: 'string' },
+    fileName: { type: 'string' },
+    extensions: { type: 'array', items: { type: 'string' } },
+    hasDeps: { type: 'boolean' },
+    depsLabel: { type: ['string', 'null'] },
+    depsPlaceholder: { type: ['string', 'null'] },
+    starterCode: { type: 'string' },
+    versions: {
+      type: 'array',
+      items: { type: 'object', properties: { id: { type: 'string' }, label: { type: 'string' } } },
+    },
+    defaultVersion: { type: ['string', 'null'] },
+    hasRepl: { type: 'boolean', description: 'Whether the language offers interactive sessions' },
+  },
+};
+
+const SESSION_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    languageId: { type: 'string' },
+    version: { type: ['string', 'null'] },
+    status: { type: 'string', enum: ['starting', 'running', 'closed'] },
+    limits: ref('Limits'),
+    allowNetwork: { type: 'boolean' },
+    createdAt: { type: 'string', format: 'date-time' },
+    lastInputAt: { type: ['string', 'null'], format: 'date-time' },
+  },
+};
+
+const SESSION_EVENT_SCHEMA = {
+  type: 'object',
+  description: 'A message the bridge sends over a session socket: `started`, then `output` '
+    + 'messages, then `closed`; `error` answers an invalid message',
+  required: ['type'],
+  properties: {
+    type: { type: 'string', enum: ['started', 'output', 'closed', 'error'] },
+    session: ref('Session'),
+    data: { type: 'string', description: '`output` messages: terminal output, escape sequences included' },
+    reason: { type: 'string', enum: CLOSE_REASONS, description: '`closed` messages' },
+    exitCode: { type: ['integer', 'null'] },
+    message: { type: 'string' },
+    error: ref('Error'),
+  },
+};
+
+const ERROR_SCHEMA = {
+  type: 'object',
+  required: ['code', 'message'],
+  properties: {
+    code: {
+      type: 'string',
+      enum: [
+        'bad_request', 'invalid_request', 'unauthorized', 'forbidden', 'not_found',
+        'method_not_allowed', 'conflict', 'payload_too_large', 'run_failed', 'session_failed', 'internal',
+      ],
+    },
+    message: { type: 'string' },
+    field: { type: 'string', description: 'Path of the first offending request field, e.g. `limits.timeoutSec`' },
+    details: {
+      type: 'array',
+      description: 'Every invalid field of an `invalid_request`',
+      items: { type: 'object', properties: { field: { type: 'string' }, message: { type: 'string' } } },
+    },
+  },
+};
+
+/**
+ * Every named schema, for the OpenAPI document's components.
+ * @param {{ defaults: object, max: object }} policy - loadConfig().limits
+ */
+function buildSchemas(policy) {
+  return {
+    RunRequest: buildRunRequestSchema(policy),
+    RunResult: RUN_RESULT_SCHEMA,
+    RunEvent: RUN_EVENT_SCHEMA,
+    Job: JOB_SCHEMA,
+    JobList: { type: 'object', properties: { concurrency: { type: 'integer' }, jobs: { type: 'array', items: ref('Job') } } },
+    JobOutput: {
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        status: JOB_SCHEMA.properties.status,
+        lines: { type: 'array', items: ref('OutputLine') },
+        nextLine: { type: 'integer', description: 'Pass as `since` to fetch only newer lines' },
+      },
+    },
+    OutputLine: OUTPUT_LINE_SCHEMA,
+    Diagnostic: DIAGNOSTIC_SCHEMA,
+    Metrics: METRICS_SCHEMA,
+    Artifact: ARTIFACT_SCHEMA,
+    JudgeReport: JUDGE_REPORT_SCHEMA,
+    Language: LANGUAGE_SCHEMA,
+    LanguageList: { type: 'array', items: ref('Language') },
+    ...buildSessionMessageSchemas(policy),
+    Session: SESSION_SCHEMA,
+    SessionList: { type: 'object', properties: { sessions: { type: 'array', items: ref('Session') } } },
+    SessionEvent: SESSION_EVENT_SCHEMA,
+    Limits: LIMITS_SCHEMA,
+    LimitPolicy: { type: 'object', properties: { defaults: ref('Limits'), max: ref('Limits') } },
+    PoolStats: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        size: { type: 'integer' },
+        idle: { type: 'integer' },
+        warming: { type: 'integer' },
+        warmStarts: { type: 'integer' },
+        coldStarts: { type: 'integer' },
+        avgWarmStartMs: { type: ['integer', 'null'] },
+        avgColdStartMs: { type: ['integer', 'null'] },
+        estimatedTimeSavedMs: { type: ['integer', 'null'] },
+        lastError: { type: ['string', 'null'] },
+      },
+    },
+    CacheList: {
+      type: 'object',
+      properties: {
+        entries: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              key: { type: 'string' },
+              languageId: { type: 'string' },
+              version: { type: ['string', 'null'] },
+              dependencies: { type: 'array', items: { type: 'string' } },
+              createdAt: { type: 'string', format: 'date-time' },
+              lastUsedAt: { type: 'string', format: 'date-time' },
+              volume: { type: 'string' },
+              sizeBytes: { type: ['integer', 'null'] },
+            },
+          },
+        },
+      },
+    },
+    CacheRemoved: { type: 'object', properties: { removed: { type: 'integer' } } },
+    DockerStatus: { type: 'object', properties: { ok: { type: 'boolean' }, error: { type: 'string' } } },
+    Ok: { type: 'object', properties: { ok: { type: 'boolean', enum: [true] } } },
+    Error: ERROR_SCHEMA,
+    ErrorResponse: { type: 'object', required: ['error'], properties: { error: ref('Error') } },
+  };
+}
+
+module.exports = { API_VERSION, validate, buildRunRequestSchema, buildSessionMessageSchemas, buildSchemas };
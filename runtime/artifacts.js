@@ -0,0 +1,126 @@
+/**
+ * artifacts.js
+ * Copies the files a program leaves in /workspace/out out of its container.
+ *
+ * The run command creates the directory (see COPY_PROJECT in languages.js) and
+ * the executor collects it after the run phase exits, before the container is
+ * removed. Only regular files are kept. A file larger than MAX_ARTIFACT_BYTES,
+ * or one that would exceed MAX_ARTIFACTS or MAX_TOTAL_BYTES, is skipped and
+ * reported instead of failing the run.
+ *
+ * Artifact shape: { name, size, mimeType, data } where name is the path below
+ * /workspace/out and data is the file content in base64.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const tar = require('tar-fs');
+
+const ARTIFACTS_DIR = '/workspace/out';
+const MAX_ARTIFACTS = 20;
+const MAX_ARTIFACT_BYTES = 5 * 1024 * 1024;
+const MAX_TOTAL_BYTES = 20 * 1024 * 1024;
+
+const MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.bmp': 'image/bmp',
+  '.svg': 'image/svg+xml',
+  '.csv': 'text/csv',
+  '.tsv': 'text/tab-separated-values',
+  '.json': 'application/json',
+  '.txt': 'text/plain',
+  '.log': 'text/plain',
+  '.md': 'text/markdown',
+  '.html': 'text/html',
+  '.xml': 'application/xml',
+  '.pdf': 'application/pdf',
+};
+
+function getMimeType(name) {
+  return MIME_TYPES[path.extname(name).toLowerCase()] || 'application/octet-stream';
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function listFiles(rootDir, dir = rootDir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listFiles(rootDir, fullPath);
+    return entry.isFile() ? [path.relative(rootDir, fullPath).split(path.sep).join('/')] : [];
+  });
+}
+
+/**
+ * @param {object} container - dockerode container whose run phase has exited
+ * @param {(line: string) => void} onSkip - told about every file left behind
+ * @returns {Promise<Array<{ name: string, size: number, mimeType: string, data: string }>>}
+ *          empty when the program wrote nothing (or the directory is gone)
+ */
+async function collectArtifacts(container, onSkip) {
+  let archive;
+  try {
+    archive = await container.getArchive({ path: ARTIFACTS_DIR });
+  } catch (_) {
+    return [];
+  }
+
+  const hostDir = fs.mkdtempSync(path.join(os.tmpdir(), 'executor-out-'));
+  let count = 0;
+  let totalBytes = 0;
+
+  try {
+    // Sizes are checked from the tar headers, so skipped files never reach the disk
+    await new Promise((resolve, reject) => {
+      const extract = tar.extract(hostDir, {
+        strip: 1,
+        ignore(_name, header) {
+          if (header.type === 'directory') return false;
+          if (header.type !== 'file') return true;
+          const name = header.name.replace(/^out\//, '');
+          if (header.size > MAX_ARTIFACT_BYTES) {
+            onSkip(`Artifact skipped: ${name} is ${formatBytes(header.size)} (max ${formatBytes(MAX_ARTIFACT_BYTES)})`);
+            return true;
+          }
+          if (count >= MAX_ARTIFACTS || totalBytes + header.size > MAX_TOTAL_BYTES) {
+            onSkip(`Artifact skipped: ${name} (limit ${MAX_ARTIFACTS} files, ${formatBytes(MAX_TOTAL_BYTES)} in total)`);
+            return true;
+          }
+          count += 1;
+          totalBytes += header.size;
+          return false;
+        },
+      });
+      extract.on('finish', resolve);
+      extract.on('error', reject);
+      archive.on('error', reject);
+      archive.pipe(extract);
+    });
+
+    return listFiles(hostDir).sort().map(name => {
+      const data = fs.readFileSync(path.join(hostDir, name));
+      return { name, size: data.length, mimeType: getMimeType(name), data: data.toString('base64') };
+    });
+  } finally {
+    fs.rmSync(hostDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Artifact list without file contents, for job summaries.
+ */
+function describeArtifacts(artifacts) {
+  return (artifacts || []).map(({ name, size, mimeType }) => ({ name, size, mimeType }));
+}
+
+module.exports = { ARTIFACTS_DIR, collectArtifacts, describeArtifacts };
@@ -0,0 +1,118 @@
+/**
+ * bridge-auth.js
+ * Pairing token and origin checks for the bridge server.
+ *
+ * Token: created on the bridge's first start and kept in ~/.ash-box/bridge-token
+ * (owner read/write only). Every request must send it as
+ * `Authorization: Bearer <token>`. Browsers cannot set headers on WebSockets,
+ * so session sockets may offer it as a `bearer.<token>` subprotocol instead.
+ * The extension stores it after the user pastes it once; deleting the file
+ * makes the next start issue a new one.
+ *
+ * Origin: browsers attach an Origin header to cross-origin requests. Only the
+ * extension's origin (fixed by the `key` in extension/manifest.json), the
+ * desktop UI's and origins listed in config `bridge.allowedOrigins` are
+ * accepted. Requests with no Origin come from non-browser clients and only
+ * need the token. The Host header must name the loopback address, which stops
+ * DNS-rebinding pages.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getConfigDir } = require('./config');
+
+const EXTENSION_ORIGIN = 'chrome-extension://nkolokfcinhibngkhgmfajhahaceggjp';
+// The desktop UI is loaded from file://, whose requests send `Origin: null`.
+// Sandboxed frames send the same opaque origin, so it grants nothing beyond
+// what a non-browser client has: the token is still required.
+const DESKTOP_ORIGIN = 'null';
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost'];
+const PROTOCOL_TOKEN_PREFIX = 'bearer.';
+
+function getTokenPath() {
+  return path.join(getConfigDir(), 'bridge-token');
+}
+
+/**
+ * Reads the pairing token, creating it on first use.
+ * @returns {string}
+ */
+function loadOrCreateToken() {
+  const tokenPath = getTokenPath();
+  try {
+    const existing = fs.readFileSync(tokenPath, 'utf8').trim();
+    if (existing) return existing;
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw new Error(`Cannot read bridge token ${tokenPath}: ${error.message}`);
+  }
+
+  const token = crypto.randomBytes(24).toString('base64url');
+  fs.mkdirSync(getConfigDir(), { recursive: true });
+  fs.writeFileSync(tokenPath, `${token}\n`, { encoding: 'utf8', mode: 0o600 });
+  return token;
+}
+
+function isAllowedOrigin(origin, allowedOrigins) {
+  return origin === EXTENSION_ORIGIN || origin === DESKTOP_ORIGIN || allowedOrigins.includes(origin);
+}
+
+/**
+ * Host and Origin checks, done before anything else (including CORS preflights).
+ * @param {{ port: number, allowedOrigins: string[] }} policy
+ * @returns {{ status: 403, error: string }|null} null when the request may proceed
+ */
+function checkOrigin(req, policy) {
+  const host = req.headers.host || '';
+  if (!LOOPBACK_HOSTS.some(name => host === `${name}:${policy.port}`)) {
+    return { status: 403, error: `Host not allowed: ${host || 'missing'}` };
+  }
+
+  const origin = req.headers.origin;
+  if (origin !== undefined && !isAllowedOrigin(origin, policy.allowedOrigins)) {
+    return { status: 403, error: `Origin not allowed: ${origin}` };
+  }
+  return null;
+}
+
+/**
+ * @returns {string|null} the token from the Authorization header or a WebSocket subprotocol
+ */
+function readToken(req) {
+  const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+  if (match) return match[1].trim();
+  const protocol = (req.headers['sec-websocket-protocol'] || '')
+    .split(',')
+    .map(item => item.trim())
+    .find(item => item.startsWith(PROTOCOL_TOKEN_PREFIX));
+  return protocol ? protocol.slice(PROTOCOL_TOKEN_PREFIX.length) : null;
+}
+
+/**
+ * @returns {{ status: 401, error: string }|null} null when the request carries the token
+ */
+function checkToken(req, token) {
+  const provided = readToken(req);
+  const given = Buffer.from(provided || '');
+  const expected = Buffer.from(token);
+  if (given.length === expected.length && crypto.timingSafeEqual(given, expected)) {
+    return null;
+  }
+  return {
+    status: 401,
+    error: provided !== null
+      ? 'Invalid bridge token. Pair again with the token printed by the bridge.'
+      : 'Missing bridge token. Pair with the token printed by the bridge.',
+  };
+}
+
+module.exports = {
+  EXTENSION_ORIGIN,
+  getTokenPath,
+  loadOrCreateToken,
+  isAllowedOrigin,
+  checkOrigin,
+  checkToken,
+};
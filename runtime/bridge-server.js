@@ -1,18 +1,62 @@
 'use strict';
 
 const http = require('http');
+const path = require('path');
 const { URL } = require('url');
-const { LANGUAGES } = require('./languages');
-const { runExecution } = require('./executor');
+const { WebSocketServer, WebSocket } = require('ws');
+const { loadLanguages, getLanguage, resolveVersion, listLanguages } = require('./language-registry');
+const { createJobManager } = require('./jobs');
 const { createDockerClient } = require('./docker');
+const { loadConfig } = require('./config');
+const { loadOrCreateToken, getTokenPath, isAllowedOrigin, checkOrigin, checkToken } = require('./bridge-auth');
+const { resolveLimits } = require('./limits');
+const { parseDependencies } = require('./dependencies');
+const { parseCases } = require('./judge');
+const { validate, buildSchemas } = require('./api-schema');
+const { buildOpenApiDocument } = require('./openapi');
+const { createSessionManager, removeStaleSessions } = require('./sessions');
+const depCache = require('./dep-cache');
+const pool = require('./pool');
+const { BASE_IMAGE } = require('./executor');
 
 const PORT = Number(process.env.BRIDGE_PORT || 3876);
-let isRunning = false;
+const config = loadBridgeConfig();
+const token = loadBridgeToken();
+const jobs = createJobManager({ concurrency: process.env.BRIDGE_CONCURRENCY });
+const sessions = createSessionManager(config.sessions);
+const schemas = buildSchemas(config.limits);
 
+function loadBridgeConfig() {
+  try {
+    const loaded = loadConfig();
+    const { custom } = loadLanguages();
+    if (custom.length > 0) console.log(`Custom languages: ${custom.join(', ')}`);
+    return loaded;
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+    return null;
+  }
+}
+
+function loadBridgeToken() {
+  try {
+    return loadOrCreateToken();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+    return null;
+  }
+}
+
+// Only origins that passed checkOrigin are echoed back; requests without one get no CORS headers
 function setCors(res) {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
+  const origin = res.req.headers.origin;
+  res.setHeader('Vary', 'Origin');
+  if (!origin || !isAllowedOrigin(origin, config.bridge.allowedOrigins)) return;
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,DELETE,OPTIONS');
 }
 
 function sendJson(res, status, body) {
@@ -22,33 +66,89 @@ function sendJson(res, status, body) {
   res.end(JSON.stringify(body));
 }
 
+/**
+ * A failed request. Thrown by route handlers and sent by the server.
+ * code is one of the Error schema's codes (see api-schema.js); field and
+ * details name the invalid request fields of an 'invalid_request'.
+ */
+class ApiError extends Error {
+  constructor(status, code, message, { field, details } = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.field = field;
+    this.details = details;
+  }
+}
+
+function invalidField(field, message) {
+  return new ApiError(400, 'invalid_request', message, { field, details: [{ field, message }] });
+}
+
+function invalidRequest(errors) {
+  return new ApiError(400, 'invalid_request', errors[0].message, { field: errors[0].field, details: errors });
+}
+
+/**
+ * /v1 routes reply with { error: { code, message, field?, details? } }; the
+ * unversioned aliases keep the { error: message } body older clients read.
+ */
+function errorBody(api, code, message, { field, details } = {}) {
+  if (api !== 'v1') return { error: message };
+  const error = { code, message };
+  if (field) error.field = field;
+  if (details) error.details = details;
+  return { error };
+}
+
+function sendError(res, api, error) {
+  sendJson(res, error.status, errorBody(api, error.code, error.message, error));
+}
+
 function readBody(req) {
   return new Promise((resolve, reject) => {
     let data = '';
-    req.on('data', chunk => {
+    const onData = (chunk) => {
       data += chunk;
       if (data.length > 5 * 1024 * 1024) {
-        reject(new Error('Payload too large'));
+        // Discard the rest of the upload instead of buffering it; the 413 still gets sent
+        req.off('data', onData);
+        data = '';
+        req.resume();
+        reject(new ApiError(413, 'payload_too_large', 'Invalid request: Payload too large (max 5 MB)'));
       }
-    });
+    };
+    req.on('data', onData);
     req.on('end', () => resolve(data));
     req.on('error', reject);
   });
 }
 
-function parseDependencies(value) {
+function normalizeFiles(value) {
+  if (!Array.isArray(value)) return [];
   return value
-    .split(/[\s,]+/)
-    .map(dep => dep.trim())
-    .filter(Boolean);
+    .filter(file => file && typeof file.name === 'string' && typeof file.content === 'string')
+    .map(({ name, content }) => ({ name, content }));
 }
 
 function normalizeRunPayload(payload) {
   const data = payload && typeof payload === 'object' ? payload : {};
   const code = typeof data.code === 'string' ? data.code : '';
   const languageId = typeof data.languageId === 'string' ? data.languageId : '';
+  const version = typeof data.version === 'string' ? data.version : '';
   const dependencies = typeof data.dependencies === 'string' ? data.dependencies : '';
-  return { code, languageId, dependencies };
+  const stdin = typeof data.stdin === 'string' ? data.stdin : '';
+  const files = normalizeFiles(data.files);
+  const entry = typeof data.entry === 'string' ? data.entry : '';
+  const source = files.length > 0 ? { files, entry } : code;
+  const limits = data.limits && typeof data.limits === 'object' ? data.limits : {};
+  const allowNetwork = data.allowNetwork === true;
+  return { source, languageId, version, dependencies, stdin, limits, allowNetwork, cases: data.cases };
+}
+
+function hasSourceCode(source) {
+  if (typeof source === 'string') return source.trim().length > 0;
+  return source.files.some(file => file.content.trim().length > 0);
 }
 
 function isValidLanguageList(value) {
@@ -62,6 +162,7 @@ function probeExistingBridge(port) {
         host: '127.0.0.1',
         port,
         path: '/languages',
+        headers: { Authorization: `Bearer ${token}` },
         timeout: 1200,
       },
       (res) => {
@@ -90,6 +191,161 @@ function probeExistingBridge(port) {
   });
 }
 
+async function readJsonBody(req) {
+  const raw = await readBody(req);
+  try {
+    return JSON.parse(raw || '{}');
+  } catch (error) {
+    throw new ApiError(400, 'bad_request', `Invalid request: ${error.message}`);
+  }
+}
+
+function checkField(field, parse) {
+  try {
+    return parse();
+  } catch (error) {
+    throw invalidField(field, error.message);
+  }
+}
+
+/**
+ * Reads and validates a run request body. /v1 bodies must match the RunRequest
+ * schema; the unversioned aliases keep coercing loosely typed payloads.
+ * @returns {Promise<{ source, languageId, version, dependencies: string[], stdin, limits, allowNetwork, cases }>}
+ * @throws {ApiError} naming the first invalid field
+ */
+async function readRunRequest(req, api) {
+  const payload = await readJsonBody(req);
+  if (api === 'v1') {
+    const errors = validate(schemas.RunRequest, payload);
+    if (errors.length > 0) throw invalidRequest(errors);
+    if ((payload.code === undefined) === (payload.files === undefined)) {
+      throw invalidField('code', 'Send either code or files');
+    }
+  }
+
+  const {
+    source,
+    languageId,
+    version: requestedVersion,
+    dependencies: depsString,
+    stdin,
+    limits: requestedLimits,
+    allowNetwork,
+    cases: requestedCases,
+  } = normalizeRunPayload(payload);
+
+  if (!hasSourceCode(source)) {
+    throw invalidField(typeof source === 'string' ? 'code' : 'files', 'Code is required');
+  }
+
+  const lang = getLanguage(languageId);
+  if (!lang) throw invalidField('languageId', `Unsupported language: ${languageId || 'unknown'}`);
+
+  const limits = checkField('limits', () => resolveLimits(requestedLimits, config.limits));
+  const version = checkField('version', () => resolveVersion(lang, requestedVersion));
+  const dependencies = checkField('dependencies', () => parseDependencies(lang.ecosystem, depsString));
+  const cases = checkField('cases', () => parseCases(requestedCases));
+
+  return { source, languageId, version: version && version.id, dependencies, stdin, limits, output: config.output, allowNetwork, cases };
+}
+
+/**
+ * Runs to completion and replies with every output line in a single JSON body.
+ */
+async function bufferedRun(res, request, api) {
+  const job = jobs.submit(request);
+  const result = await jobs.waitFor(job.id);
+  const { lines } = jobs.getOutput(job.id) || { lines: [] };
+  if (result.status === 'failed') {
+    sendJson(res, 500, { id: job.id, ...errorBody(api, 'run_failed', result.error), reason: result.reason, lines });
+    return;
+  }
+  sendJson(res, 200, {
+    id: job.id,
+    exitCode: result.exitCode,
+    cancelled: result.status === 'cancelled',
+    reason: result.reason,
+    metrics: result.metrics,
+    limits: result.limits,
+    artifacts: jobs.getArtifacts(job.id) || [],
+    judge: jobs.getJudgeReport(job.id),
+    lines,
+  });
+}
+
+/**
+ * Streams the run as NDJSON, one event per line:
+ *   { event: 'job', id }            as soon as the job is queued
+ *   { event: 'line', line, type, phase?, diagnostic? }  for each stdout/stderr/system line
+ *   { event: 'exit', exitCode, cancelled, reason, metrics, limits, artifacts, judge }  once the execution finishes
+ *   { event: 'error', error, reason }  if the executor itself throws (reason: 'infra-failure')
+ * A client that disconnects mid-run cancels the job.
+ */
+async function streamRun(res, request, api) {
+  setCors(res);
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'application/x-ndjson');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.flushHeaders();
+
+  const send = (event) => {
+    if (!res.writableEnded) res.write(`${JSON.stringify(event)}\n`);
+  };
+
+  // Lines logged while submitting (e.g. the queue position) are replayed
+  // after the job event so clients always learn the ID first.
+  let announced = false;
+  const job = jobs.submit(request, (line, type, phase, diagnostic) => {
+    if (announced) send({ event: 'line', line, type, phase, diagnostic });
+  });
+  res.on('close', () => {
+    if (!res.writableFinished) jobs.cancel(job.id);
+  });
+  send({ event: 'job', id: job.id });
+  jobs.getOutput(job.id).lines.forEach(item => send({ event: 'line', ...item }));
+  announced = true;
+
+  const result = await jobs.waitFor(job.id);
+  if (result.status === 'failed') {
+    send({ event: 'error', ...errorBody(api, 'run_failed', result.error), reason: result.reason });
+  } else {
+    send({
+      event: 'exit',
+      exitCode: result.exitCode,
+      cancelled: result.status === 'cancelled',
+      reason: result.reason,
+      metrics: result.metrics,
+      limits: result.limits,
+      artifacts: jobs.getArtifacts(job.id) || [],
+      judge: jobs.getJudgeReport(job.id),
+    });
+  }
+  res.end();
+}
+
+function unknownJob(id) {
+  return new ApiError(404, 'not_found', `Unknown job: ${id}`);
+}
+
+/**
+ * Sends one artifact's raw bytes, as a download.
+ */
+function sendArtifact(res, jobId, name) {
+  const artifacts = jobs.getArtifacts(jobId);
+  if (!artifacts) throw unknownJob(jobId);
+  const artifact = artifacts.find(item => item.name === name);
+  if (!artifact) throw new ApiError(404, 'not_found', `Unknown artifact: ${name}`);
+  if (!artifact.data) throw new ApiError(404, 'not_found', `Artifact no longer kept: ${name} (only recent runs keep their files)`);
+
+  setCors(res);
+  res.statusCode = 200;
+  res.setHeader('Content-Type', artifact.mimeType);
+  res.setHeader('Content-Disposition', `attachment; filename="${path.posix.basename(name).replace(/"/g, '')}"`);
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.end(Buffer.from(artifact.data, 'base64'));
+}
+
 async function checkDocker() {
   const docker = createDockerClient();
   try {
@@ -100,73 +356,413 @@ async function checkDocker() {
   }
 }
 
-const server = http.createServer(async (req, res) => {
-  const url = new URL(req.url, `http://${req.headers.host}`);
+const SESSION_MESSAGE_SCHEMAS = {
+  start: schemas.SessionStart,
+  input: schemas.SessionInput,
+  resize: schemas.SessionResize,
+};
+const SESSION_PROTOCOL = 'ash-box.v1';
 
-  if (req.method === 'OPTIONS') {
-    setCors(res);
-    res.statusCode = 204;
-    res.end();
-    return;
+/**
+ * Parses one message of a session socket and checks it against its schema.
+ * @throws {ApiError} naming the first invalid field
+ */
+function readSessionMessage(raw) {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (error) {
+    throw new ApiError(400, 'bad_request', `Invalid message: ${error.message}`);
   }
+  const typeErrors = validate({
+    type: 'object',
+    required: ['type'],
+    properties: { type: { type: 'string', enum: Object.keys(SESSION_MESSAGE_SCHEMAS) } },
+  }, message);
+  if (typeErrors.length > 0) throw invalidRequest(typeErrors);
 
-  if (req.method === 'GET' && url.pathname === '/languages') {
-    const list = Object.values(LANGUAGES).map(({ id, label, hasDeps, depsLabel, depsPlaceholder }) => ({
-      id,
-      label,
-      hasDeps,
-      depsLabel,
-      depsPlaceholder,
-    }));
-    sendJson(res, 200, list);
-    return;
-  }
+  const errors = validate(SESSION_MESSAGE_SCHEMAS[message.type], message);
+  if (errors.length > 0) throw invalidRequest(errors);
+  return message;
+}
 
-  if (req.method === 'GET' && url.pathname === '/check-docker') {
-    sendJson(res, 200, await checkDocker());
-    return;
+/**
+ * Checks a start message beyond its schema, like readRunRequest does for runs.
+ */
+function resolveSessionRequest(message) {
+  const lang = getLanguage(message.languageId);
+  if (!lang) throw invalidField('languageId', `Unsupported language: ${message.languageId}`);
+  if (!lang.replCommand) throw invalidField('languageId', `${lang.label} has no interactive mode`);
+  const version = checkField('version', () => resolveVersion(lang, message.version));
+  const limits = checkField('limits', () => resolveLimits(message.limits, config.limits));
+  if (sessions.list().length >= config.sessions.maxSessions) {
+    throw new ApiError(409, 'conflict', `Too many open sessions (max ${config.sessions.maxSessions}); close one first`);
   }
+  return {
+    languageId: lang.id,
+    version: version && version.id,
+    limits,
+    allowNetwork: message.allowNetwork === true,
+    cols: message.cols,
+    rows: message.rows,
+  };
+}
 
-  if (req.method === 'POST' && url.pathname === '/run') {
-    if (isRunning) {
-      sendJson(res, 409, { error: 'An execution is already in progress' });
-      return;
+/**
+ * Relays one interactive session over a WebSocket, as JSON text messages.
+ * Client:  { type: 'start', languageId, version?, limits?, allowNetwork?, cols?, rows? } once, first
+ *          { type: 'input', data }   keystrokes for the TTY
+ *          { type: 'resize', cols, rows }
+ * Bridge:  { type: 'started', session }
+ *          { type: 'output', data }  terminal output, escape sequences included
+ *          { type: 'closed', reason, exitCode, message }  then the socket closes
+ *          { type: 'error', error }  for an invalid message; the socket closes if nothing started
+ * Closing the socket closes the session and removes its container.
+ */
+function handleSessionSocket(ws) {
+  let sessionId = null;
+  let starting = false;
+
+  const send = (message) => {
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+  };
+  const fail = (error) => {
+    send({ type: 'error', ...errorBody('v1', error.code, error.message, error) });
+    if (!sessionId && !starting) ws.close(1008, error.code);
+  };
+
+  const startSession = async (message) => {
+    if (sessionId || starting) throw new ApiError(409, 'conflict', 'The session has already started');
+    const request = resolveSessionRequest(message);
+    starting = true;
+    try {
+      const session = await sessions.start(request, {
+        onData: data => send({ type: 'output', data }),
+        onClose: (info) => {
+          send({ type: 'closed', ...info });
+          ws.close(1000);
+        },
+      });
+      sessionId = session.id;
+      if (ws.readyState !== WebSocket.OPEN) {
+        await sessions.close(session.id);
+        return;
+      }
+      send({ type: 'started', session });
+    } catch (error) {
+      starting = false;
+      throw error instanceof ApiError ? error : new ApiError(500, 'session_failed', error.message);
     }
+    starting = false;
+  };
 
-    let payload;
+  ws.on('message', async (raw, isBinary) => {
     try {
-      const raw = await readBody(req);
-      payload = JSON.parse(raw || '{}');
+      if (isBinary) throw new ApiError(400, 'bad_request', 'Messages must be JSON text');
+      const message = readSessionMessage(raw.toString());
+      if (message.type === 'start') {
+        await startSession(message);
+      } else if (!sessionId) {
+        throw new ApiError(409, 'conflict', 'Start the session first');
+      } else if (message.type === 'input') {
+        sessions.write(sessionId, message.data);
+      } else {
+        await sessions.resize(sessionId, message.cols, message.rows);
+      }
     } catch (error) {
-      sendJson(res, 400, { error: `Invalid request: ${error.message}` });
-      return;
+      fail(error instanceof ApiError ? error : new ApiError(500, 'internal', error.message));
     }
+  });
 
-    const { code, languageId, dependencies: depsString } = normalizeRunPayload(payload);
-    const dependencies = parseDependencies(depsString);
+  ws.on('close', () => {
+    if (sessionId) void sessions.close(sessionId);
+  });
+}
 
-    if (!code.trim()) {
-      sendJson(res, 400, { error: 'Code is required' });
-      return;
-    }
+const sessionSockets = new WebSocketServer({
+  noServer: true,
+  maxPayload: 1024 * 1024,
+  // The client offers ash-box.v1 plus bearer.<token>; only the former is echoed back
+  handleProtocols: protocols => (protocols.has(SESSION_PROTOCOL) ? SESSION_PROTOCOL : false),
+});
 
-    isRunning = true;
-    const lines = [];
+/**
+ * Answers a refused WebSocket handshake with a plain HTTP error.
+ */
+function rejectUpgrade(socket, error) {
+  const body = JSON.stringify(errorBody('v1', error.code, error.message));
+  socket.end([
+    `HTTP/1.1 ${error.status} ${http.STATUS_CODES[error.status]}`,
+    'Content-Type: application/json',
+    `Content-Length: ${Buffer.byteLength(body)}`,
+    'Connection: close',
+    '',
+    body,
+  ].join('\r\n'));
+}
 
-    try {
-      const result = await runExecution(code, languageId, dependencies, (line, type) => {
-        lines.push({ line, type });
-      });
-      sendJson(res, 200, { exitCode: result.exitCode, lines });
-    } catch (error) {
-      sendJson(res, 500, { error: error.message, lines });
-    } finally {
-      isRunning = false;
-    }
+const PARAM_PATTERNS = {
+  id: '[0-9a-f]+',
+  key: '[0-9a-f]+',
+  name: '.+',
+};
+
+/**
+ * Every route, relative to /v1. The same paths without the prefix are kept
+ * as aliases for older clients (except `v1Only` routes); they differ only in
+ * how errors look (see errorBody) and in accepting loosely typed run payloads.
+ * summary, request, response, status, contentType and query feed the OpenAPI
+ * document (see openapi.js).
+ */
+const ROUTES = [
+  {
+    method: 'GET',
+    path: '/languages',
+    summary: 'List built-in and custom languages',
+    response: 'LanguageList',
+    handler: ({ res }) => sendJson(res, 200, listLanguages()),
+  },
+  {
+    method: 'GET',
+    path: '/limits',
+    summary: 'Default run limits and their configured maximums',
+    response: 'LimitPolicy',
+    handler: ({ res }) => sendJson(res, 200, config.limits),
+  },
+  {
+    method: 'GET',
+    path: '/pool',
+    summary: 'Warm container pool size, usage and estimated time saved',
+    response: 'PoolStats',
+    handler: ({ res }) => sendJson(res, 200, pool.getStats()),
+  },
+  {
+    method: 'GET',
+    path: '/check-docker',
+    summary: 'Whether the Docker daemon answers',
+    response: 'DockerStatus',
+    handler: async ({ res }) => sendJson(res, 200, await checkDocker()),
+  },
+  {
+    method: 'POST',
+    path: '/run',
+    summary: 'Run and return all output lines when finished',
+    request: 'RunRequest',
+    response: 'RunResult',
+    handler: async ({ req, res, api }) => bufferedRun(res, await readRunRequest(req, api), api),
+  },
+  {
+    method: 'POST',
+    path: '/run/stream',
+    summary: 'Run and stream NDJSON events (job, line, exit, error)',
+    request: 'RunRequest',
+    response: 'RunEvent',
+    contentType: 'application/x-ndjson',
+    handler: async ({ req, res, api }) => streamRun(res, await readRunRequest(req, api), api),
+  },
+  {
+    method: 'GET',
+    path: '/jobs',
+    summary: 'List queued, running and recently finished jobs',
+    response: 'JobList',
+    handler: ({ res }) => sendJson(res, 200, { concurrency: jobs.concurrency, jobs: jobs.list() }),
+  },
+  {
+    method: 'POST',
+    path: '/jobs',
+    summary: 'Queue a run and return its job immediately',
+    request: 'RunRequest',
+    response: 'Job',
+    status: 202,
+    handler: async ({ req, res, api }) => sendJson(res, 202, jobs.submit(await readRunRequest(req, api))),
+  },
+  {
+    method: 'GET',
+    path: '/jobs/:id',
+    summary: 'Job status',
+    response: 'Job',
+    handler: ({ res, params }) => {
+      const job = jobs.get(params.id);
+      if (!job) throw unknownJob(params.id);
+      sendJson(res, 200, job);
+    },
+  },
+  {
+    method: 'GET',
+    path: '/jobs/:id/output',
+    summary: 'Output lines of a job',
+    response: 'JobOutput',
+    query: { since: 'Index of the first line to return' },
+    handler: ({ res, url, params }) => {
+      const output = jobs.getOutput(params.id, url.searchParams.get('since'));
+      if (!output) throw unknownJob(params.id);
+      sendJson(res, 200, output);
+    },
+  },
+  {
+    method: 'POST',
+    path: '/jobs/:id/cancel',
+    summary: 'Cancel a queued or running job',
+    response: 'Ok',
+    handler: ({ res, params }) => {
+      if (!jobs.get(params.id)) throw unknownJob(params.id);
+      if (!jobs.cancel(params.id)) throw new ApiError(409, 'conflict', 'Job has already finished');
+      sendJson(res, 200, { ok: true });
+    },
+  },
+  {
+    method: 'GET',
+    path: '/jobs/:id/artifacts/:name',
+    summary: 'Download one artifact of a finished job',
+    contentType: 'application/octet-stream',
+    handler: ({ res, params }) => {
+      let name;
+      try {
+        name = decodeURIComponent(params.name);
+      } catch (_) {
+        throw invalidField('name', 'Invalid artifact name');
+      }
+      sendArtifact(res, params.id, name);
+    },
+  },
+  {
+    method: 'GET',
+    path: '/cache',
+    summary: 'Cached dependency layers with their sizes',
+    response: 'CacheList',
+    handler: async ({ res }) => sendJson(res, 200, { entries: await depCache.listEntries() }),
+  },
+  {
+    method: 'DELETE',
+    path: '/cache',
+    summary: 'Purge every cached dependency layer',
+    response: 'CacheRemoved',
+    handler: async ({ res }) => sendJson(res, 200, { removed: await depCache.purge() }),
+  },
+  {
+    method: 'DELETE',
+    path: '/cache/:key',
+    summary: 'Purge one cached dependency layer',
+    response: 'CacheRemoved',
+    handler: async ({ res, params }) => {
+      const removed = await depCache.purge(params.key);
+      if (!removed) throw new ApiError(404, 'not_found', `Unknown or busy cache entry: ${params.key}`);
+      sendJson(res, 200, { removed });
+    },
+  },
+  {
+    method: 'GET',
+    path: '/sessions',
+    summary: 'Open interactive sessions. Open a WebSocket on this path (subprotocols '
+      + '`ash-box.v1` and `bearer.<token>`) to start one; see SessionStart and SessionEvent',
+    response: 'SessionList',
+    v1Only: true,
+    handler: ({ res }) => sendJson(res, 200, { sessions: sessions.list() }),
+  },
+  {
+    method: 'DELETE',
+    path: '/sessions/:id',
+    summary: 'Close an interactive session and remove its container',
+    response: 'Ok',
+    v1Only: true,
+    handler: async ({ res, params }) => {
+      if (!await sessions.close(params.id)) throw new ApiError(404, 'not_found', `Unknown session: ${params.id}`);
+      sendJson(res, 200, { ok: true });
+    },
+  },
+  {
+    method: 'GET',
+    path: '/openapi.json',
+    summary: 'This document',
+    v1Only: true,
+    handler: ({ res }) => sendJson(res, 200, openApiDocument),
+  },
+].map(route => ({
+  ...route,
+  pattern: new RegExp(`^${route.path
+    .replace(/\./g, '\\.')
+    .replace(/:([A-Za-z]+)/g, (_, name) => `(?<${name}>${PARAM_PATTERNS[name]})`)}$`),
+}));
+
+const openApiDocument = buildOpenApiDocument({ routes: ROUTES, schemas, port: PORT });
+
+/**
+ * @param {string} method
+ * @param {string} pathname - without the /v1 prefix
+ * @param {string} api - 'v1' or 'legacy'
+ * @returns {{ route: object, params: object }}
+ * @throws {ApiError} 404 for unknown paths, 405 for known paths with another method
+ */
+function matchRoute(method, pathname, api) {
+  const candidates = ROUTES
+    .filter(route => api === 'v1' || !route.v1Only)
+    .map(route => ({ route, match: pathname.match(route.pattern) }))
+    .filter(({ match }) => match);
+  if (candidates.length === 0) throw new ApiError(404, 'not_found', 'Not found');
+
+  const found = candidates.find(({ route }) => route.method === method);
+  if (!found) {
+    const allowed = candidates.map(({ route }) => route.method).join(', ');
+    throw new ApiError(405, 'method_not_allowed', `${method} is not allowed here (use ${allowed})`);
+  }
+  return { route: found.route, params: { ...found.match.groups } };
+}
+
+const server = http.createServer(async (req, res) => {
+  const api = /^\/v1(\/|\?|$)/.test(req.url) ? 'v1' : 'legacy';
+
+  const refused = checkOrigin(req, { port: PORT, allowedOrigins: config.bridge.allowedOrigins });
+  if (refused) {
+    sendError(res, api, new ApiError(refused.status, 'forbidden', refused.error));
+    return;
+  }
+
+  // Preflights carry no Authorization header; the real request is checked below
+  if (req.method === 'OPTIONS') {
+    setCors(res);
+    res.statusCode = 204;
+    res.end();
     return;
   }
 
-  sendJson(res, 404, { error: 'Not found' });
+  const unauthorized = checkToken(req, token);
+  if (unauthorized) {
+    res.setHeader('WWW-Authenticate', 'Bearer realm="ash-box"');
+    sendError(res, api, new ApiError(unauthorized.status, 'unauthorized', unauthorized.error));
+    return;
+  }
+
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const pathname = api === 'v1' ? url.pathname.slice('/v1'.length) || '/' : url.pathname;
+
+  try {
+    const { route, params } = matchRoute(req.method, pathname, api);
+    await route.handler({ req, res, url, params, api });
+  } catch (error) {
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    sendError(res, api, error instanceof ApiError ? error : new ApiError(500, 'internal', error.message));
+  }
+});
+
+server.on('upgrade', (req, socket, head) => {
+  const refused = checkOrigin(req, { port: PORT, allowedOrigins: config.bridge.allowedOrigins });
+  if (refused) {
+    rejectUpgrade(socket, new ApiError(refused.status, 'forbidden', refused.error));
+    return;
+  }
+  const unauthorized = checkToken(req, token);
+  if (unauthorized) {
+    rejectUpgrade(socket, new ApiError(unauthorized.status, 'unauthorized', unauthorized.error));
+    return;
+  }
+  if (new URL(req.url, `http://${req.headers.host}`).pathname !== '/v1/sessions') {
+    rejectUpgrade(socket, new ApiError(404, 'not_found', 'Not found'));
+    return;
+  }
+  sessionSockets.handleUpgrade(req, socket, head, handleSessionSocket);
 });
 
 server.on('error', async (error) => {
@@ -189,4 +785,22 @@ server.on('error', async (error) => {
 
 server.listen(PORT, '127.0.0.1', () => {
   console.log(`Bridge listening on http://127.0.0.1:${PORT}`);
+  console.log(`Pairing token: ${token}`);
+  console.log(`  (stored in ${getTokenPath()}; paste it into the extension once)`);
+  removeStaleSessions().catch(() => {});
+  if (config.pool.size > 0) {
+    pool.startPool({ size: config.pool.size, image: BASE_IMAGE }).then(() => {
+      const { idle, lastError } = pool.getStats();
+      if (lastError) console.error(`Container pool unavailable: ${lastError}`);
+      else console.log(`Container pool ready: ${idle} warm container(s)`);
+    });
+  }
 });
+
+async function shutdown() {
+  await Promise.all([pool.shutdownPool(), sessions.closeAll()]);
+  process.exit(0);
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
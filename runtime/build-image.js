@@ -2,7 +2,15 @@
  * build-image.js
  * Run once before first use: npm run build-image
  * Builds the multi-runtime base Docker image used for all execution sessions.
- * This image includes: Python 3.11, Node.js 20, Go 1.22, Ruby, Java, gcc/g++
+ * This image includes: Python 3.11, Node.js 20 + TypeScript, Go 1.22, Ruby, Java + Maven,
+ * gcc/g++, Rust 1.77, Bash, PHP + Composer. After the build, every runtime is probed
+ * inside the image and its version is printed.
+ *
+ * Other runtime versions (see `versions` in languages.js) are separate images and
+ * are only built on request:
+ *   npm run build-image -- --list                 list them
+ *   npm run build-image -- python@3.8 javascript@22
+ *   npm run build-image -- --all-versions
  *
  * Image build takes 3-8 minutes on first run depending on connection speed.
  * All subsequent runs reuse the cached image.
@@ -11,32 +19,77 @@
 'use strict';
 
 const path = require('path');
+const { PassThrough } = require('stream');
 const { createDockerClient } = require('./docker');
+const { LANGUAGES } = require('./languages');
 
 const docker = createDockerClient();
 const IMAGE_TAG = 'executor-base:latest';
 
-async function buildBaseImage() {
-  console.log(`Building base image: ${IMAGE_TAG}`);
-  console.log('Runtimes included: Python 3.11, Node.js 20, Go 1.22, Ruby, Java (OpenJDK), gcc/g++');
-  console.log('This runs once. Expect 3-8 minutes on first build.\n');
+// First line of each command's output is reported as the runtime's version
+const RUNTIME_PROBES = [
+  { label: 'Python', command: 'python --version' },
+  { label: 'Node.js', command: 'node --version' },
+  { label: 'TypeScript', command: 'tsc --version' },
+  { label: 'Go', command: 'go version' },
+  { label: 'Ruby', command: 'ruby --version' },
+  { label: 'Java', command: 'java -version' },
+  { label: 'Maven', command: 'mvn --version' },
+  { label: 'gcc', command: 'gcc --version' },
+  { label: 'g++', command: 'g++ --version' },
+  { label: 'Rust', command: 'rustc --version' },
+  { label: 'Cargo', command: 'cargo --version' },
+  { label: 'Bash', command: 'bash --version' },
+  { label: 'PHP', command: 'php --version' },
+  { label: 'Composer', command: 'composer --version' },
+];
 
-  try {
-    await docker.ping();
-  } catch (_err) {
-    console.error('Cannot reach Docker daemon. Is Docker Desktop running?');
-    process.exit(1);
-  }
+// Probes for the single runtime in each version image, by language id
+const VARIANT_PROBES = {
+  python: [{ label: 'Python', command: 'python --version' }],
+  javascript: [{ label: 'Node.js', command: 'node --version' }],
+};
+
+function probeScript(probes) {
+  return probes.map(({ label, command }) =>
+    `if out=$(${command} 2>&1); then echo "${label}: $(echo "$out" | head -n 1)"; else echo "${label}: MISSING"; fi`
+  ).join('\n');
+}
+
+/**
+ * Runs every probe in one throwaway container and prints the results.
+ * @returns {Promise<number>} number of missing runtimes
+ */
+async function reportRuntimes(image, probes) {
+  if (probes.length === 0) return 0;
+  const output = new PassThrough();
+  let text = '';
+  output.setEncoding('utf8');
+  output.on('data', chunk => { text += chunk; });
+  const ended = new Promise(resolve => output.on('end', resolve));
+
+  const [, container] = await docker.run(image, ['sh', '-c', probeScript(probes)], output, {
+    HostConfig: { NetworkMode: 'none' },
+  });
+  await ended;
+  await container.remove({ force: true }).catch(() => {});
 
+  const lines = text.replace(/\r/g, '').split('\n').filter(Boolean);
+  console.log(`\nRuntimes in ${image}:`);
+  lines.forEach(line => console.log(`  ${line}`));
+  return lines.filter(line => line.endsWith(': MISSING')).length;
+}
+
+/**
+ * Builds one image from a Dockerfile in this directory, streaming the build log.
+ */
+async function buildImage(tag, dockerfile, buildargs) {
   const stream = await docker.buildImage(
     {
       context: path.join(__dirname),
-      src: ['Dockerfile.base'],
+      src: [dockerfile],
     },
-    {
-      t: IMAGE_TAG,
-      dockerfile: 'Dockerfile.base',
-    }
+    buildargs ? { t: tag, dockerfile, buildargs } : { t: tag, dockerfile }
   );
 
   await new Promise((resolve, reject) => {
@@ -52,12 +105,73 @@ async function buildBaseImage() {
       }
     );
   });
+}
+
+/**
+ * Extra versions listed by the built-in languages that need their own image.
+ */
+function listVariants() {
+  return Object.values(LANGUAGES).flatMap(lang => (lang.versions || [])
+    .filter(version => version.image && version.from)
+    .map(version => ({ lang, version, name: `${lang.id}@${version.id}` })));
+}
 
+/**
+ * @param {string[]} args - `lang@version` names, or --all-versions
+ * @returns {Array<object>} the variants to build, in listing order
+ */
+function selectVariants(args) {
+  const variants = listVariants();
+  if (args.includes('--all-versions')) return variants;
+
+  const unknown = args.filter(arg => !variants.some(variant => variant.name === arg));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown version(s): ${unknown.join(', ')}. Available: ${variants.map(variant => variant.name).join(', ')}`);
+  }
+  return variants.filter(variant => args.includes(variant.name));
+}
+
+async function buildImages(args) {
+  if (args.includes('--list')) {
+    console.log('Optional runtime versions (npm run build-image -- <name> ...):');
+    listVariants().forEach(({ name, version }) => console.log(`  ${name.padEnd(18)} ${version.image} (from ${version.from})`));
+    return;
+  }
+
+  const variants = selectVariants(args);
+
+  try {
+    await docker.ping();
+  } catch (_err) {
+    console.error('Cannot reach Docker daemon. Is Docker Desktop running?');
+    process.exit(1);
+  }
+
+  console.log(`Building base image: ${IMAGE_TAG}`);
+  console.log('This runs once. Expect 3-8 minutes on first build.\n');
+  await buildImage(IMAGE_TAG, 'Dockerfile.base');
   console.log(`\nBase image built: ${IMAGE_TAG}`);
+
+  let missing = await reportRuntimes(IMAGE_TAG, RUNTIME_PROBES);
+
+  // Versions outside the base image are opt-in: each one is a separate image
+  for (const { lang, version, name } of variants) {
+    console.log(`\nBuilding ${lang.label} ${version.label} (${name}): ${version.image}`);
+    await buildImage(version.image, 'Dockerfile.variant', { FROM_IMAGE: version.from });
+    missing += await reportRuntimes(version.image, VARIANT_PROBES[lang.id] || []);
+  }
+
+  if (missing > 0) {
+    console.error(`\n${missing} runtime(s) missing. Check the build output above.`);
+    process.exit(1);
+  }
+  if (variants.length === 0) {
+    console.log('\nMore runtime versions are available: npm run build-image -- --list');
+  }
   console.log('Run the application: npm start');
 }
 
-buildBaseImage().catch((err) => {
+buildImages(process.argv.slice(2)).catch((err) => {
   console.error('\nBuild failed:', err.message);
   process.exit(1);
 });
@@ -0,0 +1,393 @@
+#!/usr/bin/env node
+/**
+ * cli.js
+ * The `ash-box` command: runs local files in the sandbox from a terminal.
+ *
+ *   ash-box run <entry> [files...] [options]
+ *   ash-box languages [--bridge] [--bridge-url <url>]
+ *
+ * The entry file comes first; other files are sent under their path relative
+ * to its directory. The language is picked by the entry's extension (see
+ * `extensions` in languages.js) unless --lang names one.
+ *
+ * Program stdout and stderr go to the CLI's stdout and stderr. Executor
+ * messages, install output and the closing status line go to stderr, or
+ * nowhere with --quiet.
+ *
+ * Runs in-process by default, with the same config and languages files as the
+ * bridge. --bridge sends the run to a running bridge instead, using the pairing
+ * token in ~/.ash-box/bridge-token; runs there can use its warm pool.
+ *
+ * Exit status: the program's exit code, or 124 on timeout, 125 when the sandbox
+ * failed (Docker or bridge unreachable, executor error), 130 when interrupted
+ * and 2 for invalid arguments.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { createDockerClient } = require('./docker');
+const { loadConfig } = require('./config');
+const { loadLanguages, getLanguage, resolveVersion, listLanguages, findLanguageForFile } = require('./language-registry');
+const { resolveLimits } = require('./limits');
+const { parseDependencies } = require('./dependencies');
+const { getTokenPath } = require('./bridge-auth');
+const { runExecution, normalizeProject } = require('./executor');
+
+const EXIT_USAGE = 2;
+const EXIT_TIMEOUT = 124;
+const EXIT_SANDBOX_FAILED = 125;
+const EXIT_INTERRUPTED = 130;
+
+const USAGE = `Usage:
+  ash-box run <entry> [files...] [options]
+  ash-box languages [--bridge] [--bridge-url <url>]
+
+Options for run:
+  -l, --lang <id>           language id (default: from the entry's extension)
+      --lang-version <id>   language version, e.g. 3.12 (see: ash-box languages)
+  -d, --deps <specs>        dependencies, e.g. "requests numpy"
+  -i, --stdin <file>        file written to the program's stdin ("-" reads this stdin)
+      --timeout <sec>       time limit
+      --memory <mb>         memory limit
+      --cpus <n>            CPU limit
+      --pids <n>            process limit
+      --network             keep networking enabled while the program runs
+  -q, --quiet               print program output only
+      --bridge              run on the bridge at http://127.0.0.1:${process.env.BRIDGE_PORT || 3876}
+      --bridge-url <url>    run on the bridge at <url>
+  -h, --help                show this help`;
+
+const OPTIONS = {
+  lang: { type: 'string', short: 'l' },
+  'lang-version': { type: 'string' },
+  deps: { type: 'string', short: 'd' },
+  stdin: { type: 'string', short: 'i' },
+  timeout: { type: 'string' },
+  memory: { type: 'string' },
+  cpus: { type: 'string' },
+  pids: { type: 'string' },
+  network: { type: 'boolean' },
+  quiet: { type: 'boolean', short: 'q' },
+  bridge: { type: 'boolean' },
+  'bridge-url': { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+const LIMIT_OPTIONS = { timeout: 'timeoutSec', memory: 'memoryMb', cpus: 'cpus', pids: 'pids' };
+
+/**
+ * Thrown for problems with the command line or its files; printed without a stack.
+ */
+class UsageError extends Error {}
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let text = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', chunk => { text += chunk; });
+    process.stdin.on('end', () => resolve(text));
+    process.stdin.on('error', reject);
+  });
+}
+
+function readFile(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new UsageError(`Cannot read ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * @returns {{ files: Array<{ name: string, content: string }>, entry: string }}
+ */
+function readProject(paths) {
+  const baseDir = path.dirname(path.resolve(paths[0]));
+  const files = paths.map(filePath => {
+    const relative = path.relative(baseDir, path.resolve(filePath));
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new UsageError(`${filePath} is not inside the entry file's directory ${baseDir}`);
+    }
+    return { name: relative.split(path.sep).join('/'), content: readFile(filePath) };
+  });
+  return { files, entry: files[0].name };
+}
+
+function readLimits(values) {
+  const limits = {};
+  Object.entries(LIMIT_OPTIONS).forEach(([option, field]) => {
+    if (values[option] === undefined) return;
+    const value = Number(values[option]);
+    if (!Number.isFinite(value)) throw new UsageError(`--${option} must be a number`);
+    limits[field] = value;
+  });
+  return limits;
+}
+
+function getBridgeUrl(values) {
+  if (values['bridge-url']) return values['bridge-url'].replace(/\/+$/, '');
+  return values.bridge ? `http://127.0.0.1:${process.env.BRIDGE_PORT || 3876}` : null;
+}
+
+function formatDuration(ms) {
+  return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(2)} s`;
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * One line like the console's status footer: reason, wall time, CPU time, peak memory.
+ */
+function describeResult(result) {
+  const metrics = result.metrics || {};
+  const parts = [result.reason];
+  if (metrics.signal) parts.push(metrics.signal);
+  if (typeof metrics.wallTimeMs === 'number') parts.push(`${formatDuration(metrics.wallTimeMs)} wall`);
+  if (typeof metrics.cpuTimeMs === 'number') parts.push(`${formatDuration(metrics.cpuTimeMs)} CPU`);
+  if (typeof metrics.peakMemoryBytes === 'number') parts.push(`${formatBytes(metrics.peakMemoryBytes)} peak`);
+  return `[ash-box] ${parts.join(', ')}`;
+}
+
+function toExitStatus(result) {
+  if (result.reason === 'timeout') return EXIT_TIMEOUT;
+  if (result.reason === 'cancelled') return EXIT_INTERRUPTED;
+  if (result.reason === 'infra-failure') return EXIT_SANDBOX_FAILED;
+  return result.exitCode;
+}
+
+/**
+ * Writes program output to the matching stream; everything else is a message
+ * for the user and goes to stderr unless --quiet.
+ */
+function createLinePrinter(quiet) {
+  return (line, type, phase) => {
+    if (phase === 'run' && type === 'stdout') process.stdout.write(`${line}\n`);
+    else if (phase === 'run' && type === 'stderr') process.stderr.write(`${line}\n`);
+    else if (!quiet) process.stderr.write(`${line}\n`);
+  };
+}
+
+/**
+ * Aborts the run on the first Ctrl+C; a second one exits at once.
+ * @returns {() => void} removes the handler
+ */
+function cancelOnInterrupt(cancel) {
+  let interrupted = false;
+  const onInterrupt = () => {
+    if (interrupted) process.exit(EXIT_INTERRUPTED);
+    interrupted = true;
+    cancel();
+  };
+  process.on('SIGINT', onInterrupt);
+  return () => process.removeListener('SIGINT', onInterrupt);
+}
+
+/**
+ * @returns {Promise<object>} run result as returned by runExecution
+ */
+async function runInProcess(request, printLine) {
+  const config = loadConfig();
+  const lang = getLanguage(request.languageId);
+  let limits;
+  let version;
+  let dependencies;
+  // Checked here too, so a bad project is reported as invalid arguments before
+  // Docker is involved
+  try {
+    limits = resolveLimits(request.limits, config.limits);
+    version = resolveVersion(lang, request.version);
+    dependencies = parseDependencies(lang.ecosystem, request.dependencies);
+    normalizeProject(request.source, lang);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  try {
+    await createDockerClient().ping();
+  } catch (_) {
+    return { reason: 'infra-failure', error: 'Cannot reach the Docker daemon. Is Docker running?' };
+  }
+
+  const controller = new AbortController();
+  const stopListening = cancelOnInterrupt(() => controller.abort());
+  try {
+    return await runExecution(request.source, lang.id, dependencies, printLine, {
+      signal: controller.signal,
+      stdin: request.stdin,
+      limits,
+      output: config.output,
+      allowNetwork: request.allowNetwork,
+      version: version ? version.id : undefined,
+    });
+  } finally {
+    stopListening();
+  }
+}
+
+function readBridgeToken() {
+  try {
+    return fs.readFileSync(getTokenPath(), 'utf8').trim();
+  } catch (_) {
+    return '';
+  }
+}
+
+async function bridgeFetch(bridgeUrl, route, options = {}) {
+  let response;
+  try {
+    response = await fetch(`${bridgeUrl}${route}`, {
+      ...options,
+      headers: { ...options.headers, Authorization: `Bearer ${readBridgeToken()}` },
+    });
+  } catch (_) {
+    throw new Error(`Cannot reach the bridge at ${bridgeUrl}. Start it with: npm run bridge`);
+  }
+  if (response.status === 401) {
+    throw new Error(`The bridge rejected the pairing token in ${getTokenPath()}`);
+  }
+  return response;
+}
+
+async function fetchBridgeLanguages(bridgeUrl) {
+  const response = await bridgeFetch(bridgeUrl, '/v1/languages');
+  if (!response.ok) throw new Error(`The bridge answered ${response.status} for /v1/languages`);
+  return response.json();
+}
+
+/**
+ * Streams a run from the bridge (POST /v1/run/stream) and turns its events into
+ * printed lines and a run result.
+ */
+async function runOnBridge(bridgeUrl, request, printLine) {
+  const controller = new AbortController();
+  // Closing the stream makes the bridge cancel the job
+  const stopListening = cancelOnInterrupt(() => controller.abort());
+  let result = { reason: 'infra-failure', error: 'The bridge closed the stream before the run finished' };
+  try {
+    const response = await bridgeFetch(bridgeUrl, '/v1/run/stream', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      signal: controller.signal,
+      body: JSON.stringify({
+        languageId: request.languageId,
+        version: request.version,
+        files: request.source.files,
+        entry: request.source.entry,
+        dependencies: request.dependencies,
+        stdin: request.stdin,
+        limits: request.limits,
+        allowNetwork: request.allowNetwork,
+      }),
+    });
+    if (response.status === 400) {
+      const body = await response.json();
+      throw new UsageError(body.error.message);
+    }
+    if (!response.ok) throw new Error(`The bridge answered ${response.status}`);
+
+    const decoder = new TextDecoder();
+    let buffered = '';
+    const onEvent = (event) => {
+      if (event.event === 'line') printLine(event.line, event.type, event.phase);
+      else if (event.event === 'exit') result = event;
+      else if (event.event === 'error') result = { reason: event.reason || 'infra-failure', error: event.error.message };
+    };
+    for await (const chunk of response.body) {
+      buffered += decoder.decode(chunk, { stream: true });
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+      lines.filter(line => line.trim()).forEach(line => onEvent(JSON.parse(line)));
+    }
+  } catch (error) {
+    if (!controller.signal.aborted) throw error;
+    result = { reason: 'cancelled', exitCode: EXIT_INTERRUPTED };
+  } finally {
+    stopListening();
+  }
+  return result;
+}
+
+async function runCommand(positionals, values) {
+  if (positionals.length === 0) throw new UsageError('Name the file to run: ash-box run <entry> [files...]');
+  const bridgeUrl = getBridgeUrl(values);
+  const printLine = createLinePrinter(values.quiet);
+
+  const source = readProject(positionals);
+  const languages = bridgeUrl ? await fetchBridgeLanguages(bridgeUrl) : listLanguages();
+  const languageId = values.lang || findLanguageForFile(source.entry, languages);
+  if (!languageId) {
+    throw new UsageError(`Cannot tell the language of ${positionals[0]}; pick one with --lang`);
+  }
+  if (!languages.some(lang => lang.id === languageId)) {
+    throw new UsageError(`Unknown language "${languageId}" (available: ${languages.map(lang => lang.id).join(', ')})`);
+  }
+
+  const request = {
+    source,
+    languageId,
+    version: values['lang-version'],
+    dependencies: values.deps || '',
+    stdin: values.stdin === undefined ? '' : values.stdin === '-' ? await readStdin() : readFile(values.stdin),
+    limits: readLimits(values),
+    allowNetwork: values.network === true,
+  };
+  const result = bridgeUrl
+    ? await runOnBridge(bridgeUrl, request, printLine)
+    : await runInProcess(request, printLine);
+
+  if (result.error) process.stderr.write(`[ash-box] ${result.error}\n`);
+  if (!values.quiet && result.metrics) process.stderr.write(`${describeResult(result)}\n`);
+  return toExitStatus(result);
+}
+
+async function languagesCommand(values) {
+  const bridgeUrl = getBridgeUrl(values);
+  const languages = bridgeUrl ? await fetchBridgeLanguages(bridgeUrl) : listLanguages();
+  languages.forEach(lang => {
+    const versions = lang.versions.length > 0
+      ? `  versions: ${lang.versions.map(version => version.id).join(', ')} (default ${lang.defaultVersion})`
+      : '';
+    console.log(`${lang.id.padEnd(12)} ${(lang.extensions || []).join(' ').padEnd(18)} ${lang.label}${versions}`);
+  });
+  return 0;
+}
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  const { values, positionals } = parsed;
+  const [command, ...rest] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return command || values.help ? 0 : EXIT_USAGE;
+  }
+
+  // The bridge uses its own languages file; only in-process runs load this one
+  if (!getBridgeUrl(values)) loadLanguages();
+  if (command === 'run') return runCommand(rest, values);
+  if (command === 'languages') return languagesCommand(values);
+  throw new UsageError(`Unknown command "${command}"\n\n${USAGE}`);
+}
+
+// Exits explicitly: Docker's HTTP agent may keep sockets open. Output written to
+// pipes is flushed first.
+function exit(status) {
+  process.stdout.write('', () => process.exit(status));
+}
+
+main(process.argv.slice(2))
+  .then(exit)
+  .catch((error) => {
+    console.error(`ash-box: ${error.message}`);
+    exit(error instanceof UsageError ? EXIT_USAGE : EXIT_SANDBOX_FAILED);
+  });
@@ -0,0 +1,153 @@
+/**
+ * config.js
+ * Loads the optional user config shared by the bridge server and the desktop app.
+ *
+ * Location: $ASH_BOX_CONFIG, or ~/.ash-box/config.json
+ * A missing file means "use the built-in defaults"; an invalid file is an error.
+ *
+ * Format:
+ * {
+ *   "limits":    { "timeoutSec": 60,  "memoryMb": 512,  "cpus": 1, "pids": 128 },
+ *   "maxLimits": { "timeoutSec": 300, "memoryMb": 2048, "cpus": 2, "pids": 256 },
+ *   "output":    { "maxBytes": 2097152, "maxLines": 10000, "maxLineLength": 4000, "killAfterBytes": 33554432 },
+ *   "pool":      { "size": 0 },
+ *   "sessions":  { "idleTimeoutSec": 600, "maxDurationSec": 3600, "maxSessions": 4 },
+ *   "bridge":    { "allowedOrigins": [] }
+ * }
+ * - limits:    applied when a run does not ask for a value
+ * - maxLimits: ceilings a run request may not exceed
+ * - output:    caps on the output of every run (see output-limits.js)
+ * - pool.size: idle containers kept warm for fast starts (0 disables the pool)
+ * - sessions:  time limits and cap of interactive sessions (see sessions.js)
+ * - bridge.allowedOrigins: extra web origins (e.g. "http://localhost:5173") allowed to
+ *              call the bridge besides the extension; they still need the pairing token
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_LIMITS, DEFAULT_MAX_LIMITS, validateLimits } = require('./limits');
+const { validateOutputLimits } = require('./output-limits');
+
+const MAX_POOL_SIZE = 16;
+const DEFAULT_SESSION_SETTINGS = {
+  idleTimeoutSec: 600,
+  maxDurationSec: 3600,
+  maxSessions: 4,
+};
+const SESSION_RULES = {
+  idleTimeoutSec: { min: 10, max: 86400 },
+  maxDurationSec: { min: 60, max: 86400 },
+  maxSessions: { min: 1, max: 16 },
+};
+const ORIGIN_PATTERN = /^(https?|chrome-extension):\/\/[A-Za-z0-9.-]+(:\d{1,5})?$/;
+
+function getConfigDir() {
+  return path.join(os.homedir(), '.ash-box');
+}
+
+function getConfigPath() {
+  return process.env.ASH_BOX_CONFIG || path.join(getConfigDir(), 'config.json');
+}
+
+function readConfigFile(configPath) {
+  let raw;
+  try {
+    raw = fs.readFileSync(configPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw new Error(`Cannot read config ${configPath}: ${error.message}`);
+  }
+
+  try {
+    const data = JSON.parse(raw);
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('top level must be an object');
+    }
+    return data;
+  } catch (error) {
+    throw new Error(`Invalid config ${configPath}: ${error.message}`);
+  }
+}
+
+function validatePool(value) {
+  if (value === undefined) return { size: 0 };
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('pool must be an object');
+  }
+  const poolSize = value.size === undefined ? 0 : value.size;
+  if (!Number.isInteger(poolSize) || poolSize < 0 || poolSize > MAX_POOL_SIZE) {
+    throw new Error(`pool.size must be a whole number from 0 to ${MAX_POOL_SIZE}`);
+  }
+  return { size: poolSize };
+}
+
+function validateSessions(value) {
+  if (value === undefined) return { ...DEFAULT_SESSION_SETTINGS };
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('sessions must be an object');
+  }
+  const settings = { ...DEFAULT_SESSION_SETTINGS };
+  Object.keys(value).forEach(field => {
+    const rule = SESSION_RULES[field];
+    if (!rule) throw new Error(`sessions.${field} is not a known session setting`);
+    if (!Number.isInteger(value[field]) || value[field] < rule.min || value[field] > rule.max) {
+      throw new Error(`sessions.${field} must be a whole number from ${rule.min} to ${rule.max}`);
+    }
+    settings[field] = value[field];
+  });
+  return settings;
+}
+
+function validateBridge(value) {
+  if (value === undefined) return { allowedOrigins: [] };
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('bridge must be an object');
+  }
+  const origins = value.allowedOrigins === undefined ? [] : value.allowedOrigins;
+  if (!Array.isArray(origins)) {
+    throw new Error('bridge.allowedOrigins must be an array');
+  }
+  origins.forEach(origin => {
+    if (typeof origin !== 'string' || !ORIGIN_PATTERN.test(origin)) {
+      throw new Error(`bridge.allowedOrigins: "${origin}" is not an origin like "http://localhost:5173"`);
+    }
+  });
+  return { allowedOrigins: origins };
+}
+
+/**
+ * @returns {{ path: string, limits: { defaults: object, max: object }, output: object, pool: { size: number }, sessions: object, bridge: { allowedOrigins: string[] } }}
+ */
+function loadConfig() {
+  const configPath = getConfigPath();
+  const data = readConfigFile(configPath);
+
+  let defaults;
+  let max;
+  let output;
+  let pool;
+  let sessions;
+  let bridge;
+  try {
+    max = { ...DEFAULT_MAX_LIMITS, ...validateLimits(data.maxLimits, 'maxLimits') };
+    defaults = { ...DEFAULT_LIMITS, ...validateLimits(data.limits, 'limits') };
+    output = validateOutputLimits(data.output, 'output');
+    pool = validatePool(data.pool);
+    sessions = validateSessions(data.sessions);
+    bridge = validateBridge(data.bridge);
+  } catch (error) {
+    throw new Error(`Invalid config ${configPath}: ${error.message}`);
+  }
+
+  // Defaults never exceed the ceilings, whichever of the two was configured
+  Object.keys(defaults).forEach(field => {
+    defaults[field] = Math.min(defaults[field], max[field]);
+  });
+
+  return { path: configPath, limits: { defaults, max }, output, pool, sessions, bridge };
+}
+
+module.exports = { DEFAULT_SESSION_SETTINGS, loadConfig, getConfigDir, getConfigPath };
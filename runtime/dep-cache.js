@@ -0,0 +1,215 @@
+/**
+ * dep-cache.js
+ * Dependency layers reused across ephemeral runs.
+ *
+ * Each distinct (language, version, sorted dependency list) gets its own Docker
+ * volume, mounted at /deps. The install phase fills it once; later runs with
+ * the same dependencies mount it read-only and skip installation entirely.
+ *
+ * A layer only counts as cached once its install succeeded. That state lives
+ * in an index file next to the user config (~/.ash-box/dep-cache.json), so a
+ * volume left behind by a failed or interrupted install is never reused.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createDockerClient } = require('./docker');
+const { getConfigDir } = require('./config');
+
+const docker = createDockerClient();
+
+const VOLUME_PREFIX = 'ash-box-deps-';
+const CACHE_LABEL = 'ash-box.dep-cache';
+
+// Installs currently running in this process, by key
+const inflight = new Map();
+
+function getIndexPath() {
+  return path.join(getConfigDir(), 'dep-cache.json');
+}
+
+function readIndex() {
+  try {
+    const data = JSON.parse(fs.readFileSync(getIndexPath(), 'utf8'));
+    return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+  } catch (_) {
+    return {};
+  }
+}
+
+function writeIndex(index) {
+  fs.mkdirSync(getConfigDir(), { recursive: true });
+  fs.writeFileSync(getIndexPath(), `${JSON.stringify(index, null, 2)}\n`, 'utf8');
+}
+
+/**
+ * @param {string} languageId
+ * @param {string[]} dependencies - order and duplicates do not matter
+ * @param {string} [version] - runtime version id, for languages that offer several
+ */
+function getCacheKey(languageId, dependencies, version) {
+  const normalized = [...new Set(dependencies)].sort();
+  const scope = version ? `${languageId}@${version}` : languageId;
+  return crypto
+    .createHash('sha256')
+    .update(`${scope}\n${normalized.join('\n')}`)
+    .digest('hex')
+    .slice(0, 16);
+}
+
+function getVolumeName(key) {
+  return `${VOLUME_PREFIX}${key}`;
+}
+
+async function volumeExists(name) {
+  try {
+    await docker.getVolume(name).inspect();
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * @returns {Promise<object|null>} the index entry if the layer is complete and its volume still exists
+ */
+async function lookup(key) {
+  const index = readIndex();
+  const entry = index[key];
+  if (!entry) return null;
+
+  if (!(await volumeExists(getVolumeName(key)))) {
+    delete index[key];
+    writeIndex(index);
+    return null;
+  }
+
+  entry.lastUsedAt = new Date().toISOString();
+  writeIndex(index);
+  return entry;
+}
+
+/**
+ * Creates (or reuses) the empty volume that an install phase fills.
+ */
+async function createLayerVolume(key, languageId) {
+  const name = getVolumeName(key);
+  if (!(await volumeExists(name))) {
+    await docker.createVolume({
+      Name: name,
+      Labels: { [CACHE_LABEL]: key, 'ash-box.language': languageId },
+    });
+  }
+  return name;
+}
+
+async function removeLayerVolume(key) {
+  try {
+    await docker.getVolume(getVolumeName(key)).remove({ force: true });
+  } catch (_) {}
+}
+
+function markComplete(key, languageId, dependencies, version) {
+  const index = readIndex();
+  const now = new Date().toISOString();
+  index[key] = {
+    key,
+    languageId,
+    version: version || null,
+    dependencies: [...new Set(dependencies)].sort(),
+    createdAt: now,
+    lastUsedAt: now,
+  };
+  writeIndex(index);
+}
+
+/**
+ * Serializes installs of the same layer within this process: the second
+ * caller waits for the first and then sees its result through lookup().
+ */
+async function runExclusive(key, fn) {
+  while (inflight.has(key)) {
+    try { await inflight.get(key); } catch (_) {}
+  }
+  const pending = fn();
+  inflight.set(key, pending);
+  try {
+    return await pending;
+  } finally {
+    inflight.delete(key);
+  }
+}
+
+/**
+ * @returns {Promise<Array<{ key, volume, languageId, version, dependencies, createdAt, lastUsedAt, sizeBytes }>>}
+ *   sizeBytes is null when Docker does not report it
+ */
+async function listEntries() {
+  const index = readIndex();
+  let sizes = {};
+  try {
+    const usage = await docker.df();
+    sizes = Object.fromEntries((usage.Volumes || []).map(volume => [
+      volume.Name,
+      volume.UsageData && volume.UsageData.Size >= 0 ? volume.UsageData.Size : null,
+    ]));
+  } catch (_) {}
+
+  return Object.values(index).map(entry => ({
+    ...entry,
+    volume: getVolumeName(entry.key),
+    sizeBytes: sizes[getVolumeName(entry.key)] ?? null,
+  }));
+}
+
+/**
+ * Removes one layer, or every layer (including incomplete leftovers) when key is omitted.
+ * @returns {Promise<number>} number of layers removed
+ */
+async function purge(key) {
+  const index = readIndex();
+
+  if (key) {
+    const known = Boolean(index[key]) || await volumeExists(getVolumeName(key));
+    if (!known || inflight.has(key)) return 0;
+    await removeLayerVolume(key);
+    delete index[key];
+    writeIndex(index);
+    return 1;
+  }
+
+  let volumes = [];
+  try {
+    const result = await docker.listVolumes({ filters: { label: [CACHE_LABEL] } });
+    volumes = (result.Volumes || []).map(volume => volume.Name);
+  } catch (_) {}
+  const keys = new Set([
+    ...Object.keys(index),
+    ...volumes.map(name => name.slice(VOLUME_PREFIX.length)),
+  ]);
+
+  let removed = 0;
+  for (const layerKey of keys) {
+    if (inflight.has(layerKey)) continue;
+    await removeLayerVolume(layerKey);
+    delete index[layerKey];
+    removed += 1;
+  }
+  writeIndex(index);
+  return removed;
+}
+
+module.exports = {
+  getCacheKey,
+  getVolumeName,
+  lookup,
+  createLayerVolume,
+  removeLayerVolume,
+  markComplete,
+  runExclusive,
+  listEntries,
+  purge,
+};
@@ -0,0 +1,130 @@
+/**
+ * dependencies.js
+ * Parses and validates dependency specifications per package ecosystem.
+ *
+ * The dependency field is a list separated by whitespace or commas. A comma
+ * directly followed by a version operator stays part of the spec, so
+ * `requests>=2,<3` is one Python requirement.
+ *
+ * Accepted forms:
+ * - pip: PEP 508 name, optional [extras], optional version specifiers
+ *        (requests, pandas[excel], numpy==1.26.*, requests>=2,<3)
+ *        URLs, file paths and environment markers are rejected.
+ * - npm: package name (optionally @scope/), optional @ semver range or dist-tag
+ *        (lodash, @types/node@20, axios@^1.6, react@latest)
+ *        git, tarball, file and alias specs are rejected.
+ * - gem: gem name, optional :requirement (nokogiri, rails:~>7.1, rake:13.0.6)
+ * - go:  module path, optional @version (github.com/google/uuid@v1.6.0, golang.org/x/exp@latest)
+ *        The first path element must be a host name with a dot.
+ * - maven: groupId:artifactId:version coordinates (com.google.code.gson:gson:2.10.1)
+ * - cargo: crate name, optional @version requirement (rand, serde_json@1, regex@=1.10.4)
+ * - composer: vendor/package, optional :constraint (monolog/monolog, nesbot/carbon:^3.0)
+ *
+ * Every accepted spec starts with a letter, digit or `@`, so none can be read
+ * as an installer option. The installers receive specs as separate argv
+ * entries; no shell ever sees them.
+ */
+
+'use strict';
+
+const MAX_DEPENDENCIES = 50;
+const MAX_SPEC_LENGTH = 200;
+
+const PIP_NAME = '[A-Za-z0-9](?:[A-Za-z0-9._-]*[A-Za-z0-9])?';
+const PIP_EXTRAS = `\\[${PIP_NAME}(?:,${PIP_NAME})*\\]`;
+const PIP_CLAUSE = '(?:===|==|!=|<=|>=|~=|<|>)[A-Za-z0-9.*+!_-]+';
+const PIP_PATTERN = new RegExp(`^${PIP_NAME}(?:${PIP_EXTRAS})?(?:${PIP_CLAUSE}(?:,${PIP_CLAUSE})*)?$`);
+
+const NPM_NAME = '(?:@[a-z0-9~-][a-z0-9._~-]*\\/)?[a-z0-9~-][a-z0-9._~-]*';
+const NPM_RANGE = '[A-Za-z0-9.*^~<>=|+-]+';
+const NPM_PATTERN = new RegExp(`^${NPM_NAME}(?:@${NPM_RANGE})?$`);
+
+const GEM_NAME = '[A-Za-z0-9][A-Za-z0-9._-]*';
+const GEM_REQUIREMENT = '(?:=|!=|>=|<=|>|<|~>)?[0-9][0-9A-Za-z.]*';
+const GEM_PATTERN = new RegExp(`^${GEM_NAME}(?::${GEM_REQUIREMENT})?$`);
+
+const GO_HOST = '[a-z0-9][a-z0-9-]*(?:\\.[a-z0-9-]+)+';
+const GO_ELEMENT = '[A-Za-z0-9][A-Za-z0-9._~-]*';
+const GO_VERSION = '(?:latest|upgrade|patch|v[0-9][A-Za-z0-9.+-]*)';
+const GO_PATTERN = new RegExp(`^${GO_HOST}(?:/${GO_ELEMENT})*(?:@${GO_VERSION})?$`);
+
+const MAVEN_PART = '[A-Za-z0-9][A-Za-z0-9._-]*';
+const MAVEN_PATTERN = new RegExp(`^${MAVEN_PART}:${MAVEN_PART}:${MAVEN_PART}$`);
+
+const CARGO_NAME = '[A-Za-z][A-Za-z0-9_-]{0,63}';
+const CARGO_PATTERN = new RegExp(`^${CARGO_NAME}(?:@[A-Za-z0-9.*^~<>=+-]+)?$`);
+
+const COMPOSER_PART = '[a-z0-9](?:[_.-]?[a-z0-9]+)*';
+const COMPOSER_PATTERN = new RegExp(`^${COMPOSER_PART}/${COMPOSER_PART}(?::[A-Za-z0-9.*^~<>=|@-]+)?$`);
+
+const ECOSYSTEMS = {
+  pip: {
+    pattern: PIP_PATTERN,
+    example: 'requests, pandas[excel], numpy==1.26.4, requests>=2,<3',
+  },
+  npm: {
+    pattern: NPM_PATTERN,
+    example: 'lodash, axios@^1.6, @types/node@20',
+  },
+  gem: {
+    pattern: GEM_PATTERN,
+    example: 'nokogiri, rails:~>7.1, rake:13.0.6',
+  },
+  go: {
+    pattern: GO_PATTERN,
+    example: 'github.com/google/uuid@v1.6.0, golang.org/x/exp@latest',
+  },
+  maven: {
+    pattern: MAVEN_PATTERN,
+    example: 'com.google.code.gson:gson:2.10.1, org.apache.commons:commons-lang3:3.14.0',
+  },
+  cargo: {
+    pattern: CARGO_PATTERN,
+    example: 'rand, serde_json@1, regex@=1.10.4',
+  },
+  composer: {
+    pattern: COMPOSER_PATTERN,
+    example: 'monolog/monolog, nesbot/carbon:^3.0',
+  },
+};
+
+/**
+ * Splits the raw dependency field into individual specs.
+ */
+function splitDependencies(value) {
+  return value
+    .split(/\s+|,(?![<>=!~])/)
+    .map(dep => dep.trim())
+    .filter(Boolean);
+}
+
+/**
+ * @param {string} ecosystem - 'pip' | 'npm' | 'gem' | 'go' | 'maven' | 'cargo' | 'composer'
+ * @param {string} value     - raw dependency field from the run payload
+ * @returns {string[]} validated specs, duplicates removed
+ * @throws {Error} naming the first spec that is not accepted
+ */
+function parseDependencies(ecosystem, value) {
+  const specs = [...new Set(splitDependencies(typeof value === 'string' ? value : ''))];
+  if (specs.length === 0) return [];
+
+  const rules = ECOSYSTEMS[ecosystem];
+  if (!rules) {
+    throw new Error('This language does not support dependencies');
+  }
+  if (specs.length > MAX_DEPENDENCIES) {
+    throw new Error(`Too many dependencies (max ${MAX_DEPENDENCIES})`);
+  }
+
+  specs.forEach(spec => {
+    if (spec.length > MAX_SPEC_LENGTH || !rules.pattern.test(spec)) {
+      throw new Error(`Invalid ${ecosystem} dependency "${spec}". Expected forms like: ${rules.example}`);
+    }
+  });
+
+  return specs;
+}
+
+const ECOSYSTEM_NAMES = Object.keys(ECOSYSTEMS);
+
+module.exports = { parseDependencies, ECOSYSTEM_NAMES };
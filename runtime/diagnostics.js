@@ -0,0 +1,258 @@
+/**
+ * diagnostics.js
+ * Turns compiler errors and runtime tracebacks into structured diagnostics.
+ *
+ * The executor feeds every stderr line of the run phase to a parser created
+ * for the language's `diagnostics` format. When a line completes an error
+ * report, push() returns a diagnostic for it and the line is sent with it
+ * (see runExecution); the UIs mark the reported line in the editor.
+ *
+ * Diagnostic: { file, line, column, severity, message }
+ *   file:     project file name as sent by the client
+ *   column:   1-based, null when the tool does not report one
+ *   severity: 'error' | 'warning' | 'note'
+ *
+ * Formats:
+ * - gcc:    gcc/g++ `file:line:col: error: message`
+ * - java:   javac `File.java:line: error: message`, and uncaught exceptions
+ *           located at their first stack frame in the project
+ * - go:     `./file.go:line:col: message` from the compiler, panics at their first frame
+ * - python: tracebacks (also SyntaxError) at the innermost project frame
+ * - node:   uncaught errors at the `file:line` header Node prints, or the first frame
+ * - ruby:   `file:line:in 'method': message (Class)`, warnings and syntax errors
+ * - tsc:    `file(line,col): error TS1234: message`
+ * - rustc:  `error[E0425]: message` followed by its ` --> file:line:col` location
+ * - bash:   `file: line N: message`
+ * - php:    `Parse error: message in file on line N` and uncaught exceptions
+ *
+ * Locations outside the project (standard library frames, generated files) are
+ * skipped, so every diagnostic points at a file the user can open.
+ */
+
+'use strict';
+
+const MAX_DIAGNOSTICS = 100;
+
+const GCC_PATTERN = /^(\S+?):(\d+):(?:(\d+):)? (fatal error|error|warning|note): (.*)$/;
+const JAVAC_PATTERN = /^(\S+\.java):(\d+): (error|warning): (.*)$/;
+const JAVA_EXCEPTION_PATTERN = /^(?:Exception in thread "[^"]*" |Caused by: )(\S.*)$/;
+const JAVA_FRAME_PATTERN = /^\s+at \S+\((\S+\.java):(\d+)\)$/;
+const GO_COMPILE_PATTERN = /^(\S+?\.go):(\d+):(\d+): (.*)$/;
+const GO_PANIC_PATTERN = /^(?:panic: |fatal error: )(.*)$/;
+const GO_FRAME_PATTERN = /^\s+(\S+\.go):(\d+)(?: \+0x[0-9a-f]+)?$/;
+const PYTHON_FRAME_PATTERN = /^ {2}File "(.+)", line (\d+)/;
+const PYTHON_ERROR_PATTERN = /^[A-Za-z_][\w.]*(?::|$)/;
+const NODE_HEADER_PATTERN = /^(\/\S+?):(\d+)$/;
+const NODE_ERROR_PATTERN = /^(?:[A-Z]\w*(?:Error|Exception)|Error)(?: \[[\w-]+\])?(?::|$)/;
+const NODE_FRAME_PATTERN = /^\s+at (?:.*\()?(\/[^():]+):(\d+):(\d+)\)?$/;
+const RUBY_PATTERN = /^(\S+?):(\d+):(?:in [`'][^']*': )?(.+)$/;
+const TSC_PATTERN = /^(\S+?)\((\d+),(\d+)\): (error|warning) (TS\d+: .*)$/;
+const RUSTC_MESSAGE_PATTERN = /^(error|warning)(?:\[\w+\])?: (.*)$/;
+const RUSTC_LOCATION_PATTERN = /^\s*--> (\S+?):(\d+):(\d+)$/;
+const BASH_PATTERN = /^(\S+?): line (\d+): (.*)$/;
+const PHP_PATTERN = /^(?:PHP )?(Parse error|Fatal error|Warning|Notice|Deprecated):\s+(.*?) in (\S+?)(?: on line |:)(\d+)$/;
+
+function toSeverity(label) {
+  if (/warning|notice|deprecated/i.test(label)) return 'warning';
+  if (label === 'note') return 'note';
+  return 'error';
+}
+
+/**
+ * Line parsers, one per format. Each gets the stderr line and a context with
+ * `resolve(path)` (project file name or null), `at(path, line, column, severity,
+ * message)` (a diagnostic, null outside the project) and `pending`, free for
+ * reports that span several lines. They return a diagnostic or null.
+ */
+const FORMATS = {
+  gcc(line, ctx) {
+    const match = GCC_PATTERN.exec(line);
+    if (!match) return null;
+    return ctx.at(match[1], match[2], match[3], toSeverity(match[4]), match[5]);
+  },
+
+  java(line, ctx) {
+    let match = JAVAC_PATTERN.exec(line);
+    if (match) return ctx.at(match[1], match[2], null, toSeverity(match[3]), match[4]);
+
+    match = JAVA_EXCEPTION_PATTERN.exec(line);
+    if (match) {
+      // The outermost exception is reported; a "Caused by" section only refines it
+      if (!ctx.pending) ctx.pending = match[1];
+      return null;
+    }
+    match = JAVA_FRAME_PATTERN.exec(line);
+    if (match && ctx.pending && ctx.resolve(match[1])) {
+      const diagnostic = ctx.at(match[1], match[2], null, 'error', ctx.pending);
+      ctx.pending = null;
+      return diagnostic;
+    }
+    return null;
+  },
+
+  go(line, ctx) {
+    let match = GO_PANIC_PATTERN.exec(line);
+    if (match) {
+      ctx.pending = line;
+      return null;
+    }
+    match = GO_FRAME_PATTERN.exec(line);
+    if (match) {
+      if (!ctx.pending || !ctx.resolve(match[1])) return null;
+      const diagnostic = ctx.at(match[1], match[2], null, 'error', ctx.pending);
+      ctx.pending = null;
+      return diagnostic;
+    }
+    match = GO_COMPILE_PATTERN.exec(line);
+    return match ? ctx.at(match[1], match[2], match[3], 'error', match[4]) : null;
+  },
+
+  python(line, ctx) {
+    if (line.startsWith('Traceback (most recent call last)')) {
+      ctx.pending = null;
+      return null;
+    }
+    const match = PYTHON_FRAME_PATTERN.exec(line);
+    if (match) {
+      // Frames run outermost to innermost; keep the innermost one in the project
+      if (ctx.resolve(match[1])) ctx.pending = { file: match[1], line: match[2] };
+      return null;
+    }
+    if (ctx.pending && PYTHON_ERROR_PATTERN.test(line)) {
+      const diagnostic = ctx.at(ctx.pending.file, ctx.pending.line, null, 'error', line);
+      ctx.pending = null;
+      return diagnostic;
+    }
+    return null;
+  },
+
+  node(line, ctx) {
+    let match = NODE_HEADER_PATTERN.exec(line);
+    if (match) {
+      ctx.pending = ctx.resolve(match[1]) ? { file: match[1], line: match[2] } : null;
+      return null;
+    }
+    if (NODE_ERROR_PATTERN.test(line)) {
+      // Node prints the throwing line as a header first, except for errors thrown
+      // outside the project; those are placed at their first project frame.
+      if (ctx.pending && !ctx.pending.message) {
+        const diagnostic = ctx.at(ctx.pending.file, ctx.pending.line, null, 'error', line);
+        ctx.pending = null;
+        return diagnostic;
+      }
+      ctx.pending = { message: line };
+      return null;
+    }
+    match = NODE_FRAME_PATTERN.exec(line);
+    if (match && ctx.pending?.message && ctx.resolve(match[1])) {
+      const diagnostic = ctx.at(match[1], match[2], match[3], 'error', ctx.pending.message);
+      ctx.pending = null;
+      return diagnostic;
+    }
+    return null;
+  },
+
+  ruby(line, ctx) {
+    const match = RUBY_PATTERN.exec(line);
+    if (!match) return null;
+    const text = match[3].trim();
+    const warning = text.startsWith('warning: ');
+    const message = warning ? text.slice('warning: '.length) : text;
+    return ctx.at(match[1], match[2], null, warning ? 'warning' : 'error', message);
+  },
+
+  tsc(line, ctx) {
+    const match = TSC_PATTERN.exec(line);
+    return match ? ctx.at(match[1], match[2], match[3], toSeverity(match[4]), match[5]) : null;
+  },
+
+  rustc(line, ctx) {
+    let match = RUSTC_MESSAGE_PATTERN.exec(line);
+    if (match) {
+      ctx.pending = { severity: match[1], message: match[2] };
+      return null;
+    }
+    match = RUSTC_LOCATION_PATTERN.exec(line);
+    if (match && ctx.pending) {
+      const diagnostic = ctx.at(match[1], match[2], match[3], ctx.pending.severity, ctx.pending.message);
+      ctx.pending = null;
+      return diagnostic;
+    }
+    return null;
+  },
+
+  bash(line, ctx) {
+    const match = BASH_PATTERN.exec(line);
+    return match ? ctx.at(match[1], match[2], null, 'error', match[3]) : null;
+  },
+
+  php(line, ctx) {
+    const match = PHP_PATTERN.exec(line);
+    return match ? ctx.at(match[3], match[4], null, toSeverity(match[1]), `${match[1]}: ${match[2]}`) : null;
+  },
+};
+
+const DIAGNOSTIC_FORMATS = Object.keys(FORMATS);
+
+/**
+ * Maps a path printed by a tool to a project file: relative to /workspace,
+ * below a build directory (src/main.rs) or, when unambiguous, by base name
+ * (Java stack frames only name the file).
+ */
+function createResolver(fileNames) {
+  const names = new Set(fileNames);
+  return (printed) => {
+    const relative = printed.replace(/^\/workspace\//, '').replace(/^\.\//, '');
+    if (names.has(relative)) return relative;
+
+    const suffixed = fileNames.filter(name => relative.endsWith(`/${name}`));
+    if (suffixed.length > 0) return suffixed.sort((a, b) => b.length - a.length)[0];
+
+    const base = relative.split('/').pop();
+    const sameBase = fileNames.filter(name => name.split('/').pop() === base);
+    return sameBase.length === 1 ? sameBase[0] : null;
+  };
+}
+
+/**
+ * @param {string|null|undefined} format - one of DIAGNOSTIC_FORMATS; other values parse nothing
+ * @param {string[]} fileNames - project file names
+ * @returns {{ push(line: string): object|null }}
+ */
+function createDiagnosticParser(format, fileNames) {
+  const parseLine = Object.prototype.hasOwnProperty.call(FORMATS, format) ? FORMATS[format] : null;
+  const resolve = createResolver(fileNames);
+  const seen = new Set();
+
+  const ctx = {
+    pending: null,
+    resolve,
+    at(printedPath, line, column, severity, message) {
+      const file = resolve(printedPath);
+      if (!file) return null;
+      return {
+        file,
+        line: Number(line),
+        column: column ? Number(column) : null,
+        severity,
+        message: message.trim(),
+      };
+    },
+  };
+
+  return {
+    push(line) {
+      if (!parseLine || seen.size >= MAX_DIAGNOSTICS) return null;
+      const diagnostic = parseLine(line, ctx);
+      if (!diagnostic) return null;
+
+      // Judge mode runs the program once per case; report each problem once
+      const key = `${diagnostic.file}:${diagnostic.line}:${diagnostic.column}:${diagnostic.message}`;
+      if (seen.has(key)) return null;
+      seen.add(key);
+      return diagnostic;
+    },
+  };
+}
+
+module.exports = { DIAGNOSTIC_FORMATS, createDiagnosticParser };
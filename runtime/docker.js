@@ -18,4 +18,28 @@ function createDockerClient() {
   return new Docker({ socketPath: getDockerSocketPath() });
 }
 
-module.exports = { createDockerClient, getDockerSocketPath };
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Removes containers whose `label` names an owner process ID that no longer
+ * runs, i.e. leftovers of a process that crashed. Containers of this and other
+ * live processes (the bridge and the desktop app may both run) are kept.
+ */
+async function removeOrphanedContainers(docker, label) {
+  const containers = await docker.listContainers({ all: true, filters: { label: [label] } });
+  await Promise.all(containers
+    .filter(info => {
+      const owner = Number(info.Labels[label]);
+      return owner !== process.pid && !isProcessAlive(owner);
+    })
+    .map(info => docker.getContainer(info.Id).remove({ force: true }).catch(() => {})));
+}
+
+module.exports = { createDockerClient, getDockerSocketPath, removeOrphanedContainers };
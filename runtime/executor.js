@@ -3,16 +3,28 @@
  * Orchestrates Docker container lifecycle for a single code execution session.
  *
  * Responsibilities:
- * - Write user code to a temp input directory (mounted read-only into container)
- * - Create and start a Docker container
- * - Install dependencies and execute via per-language shell command
- * - Stream stdout/stderr back via callback
- * - Enforce timeout and resource limits
- * - Destroy container and clean workspace on completion
+ * - Write the user's project files to a temp input directory (mounted read-only into container)
+ * - Install dependencies in a networked container (install phase), or reuse
+ *   a cached dependency layer for the same language + dependency list
+ * - Compile and execute in a container without network access (run phase)
+ * - Write optional stdin text to the program, then close stdin
+ * - Stream stdout/stderr back via callback, with diagnostics parsed from stderr (see diagnostics.js)
+ * - Copy files the program wrote to /workspace/out back as artifacts (see artifacts.js)
+ * - Enforce timeout and resource limits, and cap the output forwarded (see output-limits.js)
+ * - Measure the run phase and classify how it ended (see metrics.js)
+ * - Kill the container early when the caller aborts the run
+ * - Use a warm pool container for the run phase when one is available (see pool.js)
+ * - Judge mode: build once, then run the program once per test case (see judge.js)
+ * - Destroy containers and input directory on completion
  *
  * Mount contract:
- *   workspaceDir -> /input:ro  (user code, read-only)
- *   /workspace                 (container-native writable dir for build artifacts)
+ *   workspaceDir -> /input:ro    (user project files, read-only)
+ *   dependency layer -> /deps    (read-write while installing, read-only while running)
+ *   /workspace                   (container-native writable dir for build artifacts)
+ *   /workspace/out               (files collected as artifacts after the run phase)
+ *
+ * Every output line is tagged with the phase it came from ('install' or 'run');
+ * executor lines that belong to no phase have none.
  */
 
 const { createDockerClient } = require('./docker');
@@ -20,152 +32,701 @@ const fs = require('fs');
 const os = require('os');
 const path = require('path');
 const crypto = require('crypto');
-const { LANGUAGES } = require('./languages');
+const { getLanguage, resolveVersion } = require('./language-registry');
+const { DEFAULT_LIMITS, toHostConfig, formatLimits } = require('./limits');
+const depCache = require('./dep-cache');
+const { parseDependencies } = require('./dependencies');
+const pool = require('./pool');
+const { collectArtifacts } = require('./artifacts');
+const { parseCases, judgeCase, summarizeCases } = require('./judge');
+const { createDiagnosticParser } = require('./diagnostics');
+const { watchStats, readOomKilled, classifyExit } = require('./metrics');
+const { createOutputLimiter } = require('./output-limits');
+const tar = require('tar-fs');
 
 const docker = createDockerClient();
 
 const BASE_IMAGE = 'executor-base:latest';
-const TIMEOUT_MS = 60_000;
-const MEMORY_LIMIT_BYTES = 512 * 1024 * 1024;
-const CPU_QUOTA = 100_000;
-const CPU_PERIOD = 100_000;
-const PIDS_LIMIT = 128; // Increased from 64: Java, npm, Ruby gems spawn more processes
+const MAX_PROJECT_FILES = 50;
+// stdout kept per judge case; output beyond this cannot match anyway
+const MAX_CASE_STDOUT_BYTES = 4 * 1024 * 1024;
+// Exit status of `timeout --signal=KILL` when the time limit was hit (128 + SIGKILL)
+const TIMEOUT_EXIT_CODE = 137;
+// Runs one judge case ($1) under `timeout` and reports, on stderr once it is
+// over, `<nonce> <exit status> <elapsed ms>` measured inside the container
+const CASE_WRAPPER = [
+  'start=$(date +%s%N)',
+  // The shell's "Killed" notice goes to the command's stderr, so the program gets
+  // the real one back from fd 3
+  'timeout --signal=KILL "$2" sh -c "exec 2>&3 3>&-; $1" 3>&2 2>/dev/null',
+  'status=$?',
+  'end=$(date +%s%N)',
+  'printf \'\\n%s %d %d\\n\' "$3" "$status" $(((end - start) / 1000000)) >&2',
+  'exit $status',
+].join('\n');
+const FILE_SEGMENT_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+/**
+ * Tells how to get a language's image when Docker does not have it.
+ */
+function describeMissingImage(image, lang, version) {
+  if (image === BASE_IMAGE) return `Base image '${BASE_IMAGE}' not found. Run: npm run build-image`;
+  if (version && version.from) {
+    return `Image '${image}' for ${lang.label} ${version.label} not found. Run: npm run build-image -- ${lang.id}@${version.id}`;
+  }
+  return `Image '${image}' for ${lang.label} not found. Pull or build it first`;
+}
+
+/**
+ * Only plain relative paths are accepted as project file names: no absolute
+ * paths, no `.`/`..` segments and no backslashes.
+ */
+function assertProjectPath(name) {
+  const segments = typeof name === 'string' ? name.split('/') : [];
+  const valid = segments.length > 0 && segments.every(segment =>
+    FILE_SEGMENT_PATTERN.test(segment) && segment !== '.' && segment !== '..'
+  );
+  if (!valid) throw new Error(`Invalid file name: ${JSON.stringify(name)}`);
+}
+
+/**
+ * Resolves a project file name inside rootDir, refusing anything that escapes it.
+ */
+function resolveProjectPath(rootDir, name) {
+  assertProjectPath(name);
+  const target = path.resolve(rootDir, name);
+  if (!target.startsWith(rootDir + path.sep)) {
+    throw new Error(`Invalid file name: ${JSON.stringify(name)}`);
+  }
+  return target;
+}
+
+/**
+ * Accepts either a single source string (written as lang.fileName) or
+ * { files: [{ name, content }], entry } and returns the latter, validated.
+ */
+function normalizeProject(source, lang) {
+  if (typeof source === 'string') {
+    return { files: [{ name: lang.fileName, content: source }], entry: lang.fileName };
+  }
+
+  const files = Array.isArray(source?.files) ? source.files : [];
+  const entry = typeof source?.entry === 'string' && source.entry ? source.entry : lang.fileName;
+
+  if (files.length === 0) throw new Error('No files to run');
+  if (files.length > MAX_PROJECT_FILES) throw new Error(`Too many files (max ${MAX_PROJECT_FILES})`);
+
+  const seen = new Set();
+  files.forEach(file => {
+    if (typeof file?.content !== 'string') throw new Error(`File ${file?.name} has no content`);
+    assertProjectPath(file.name);
+    if (seen.has(file.name)) throw new Error(`Duplicate file name: ${file.name}`);
+    seen.add(file.name);
+  });
+  if (!seen.has(entry)) throw new Error(`Entry file not found: ${entry}`);
+
+  return { files, entry };
+}
+
+/**
+ * Demultiplexes Docker's attach stream into frames.
+ * Format: 8-byte header per frame [type(1), 0, 0, 0, size(4 big-endian)]
+ * type 1 = stdout, type 2 = stderr
+ */
+function demuxFrames(stream, onFrame) {
+  let buffer = Buffer.alloc(0);
+  stream.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    while (buffer.length >= 8) {
+      const streamType = buffer[0];
+      const size = buffer.readUInt32BE(4);
+      if (buffer.length < 8 + size) break;
+      const payload = buffer.slice(8, 8 + size);
+      buffer = buffer.slice(8 + size);
+      onFrame(payload, streamType === 2 ? 'stderr' : 'stdout');
+    }
+  });
+}
 
 /**
- * @param {string} code         - Source code to execute
- * @param {string} languageId   - Key from LANGUAGES registry
- * @param {string[]} dependencies - Package names to install before execution
- * @param {(line: string, type: 'stdout'|'stderr'|'system') => void} onLine
- * @returns {Promise<{ exitCode: number }>}
+ * Demultiplexes Docker's attach stream into non-empty lines.
  */
-async function runExecution(code, languageId, dependencies, onLine) {
-  const lang = LANGUAGES[languageId];
+function demuxStream(stream, onOutput) {
+  demuxFrames(stream, (payload, type) => {
+    payload.toString('utf8').split('\n').forEach(line => {
+      if (line.length > 0) onOutput(line, type);
+    });
+  });
+}
+
+/**
+ * @param {string|{ files: Array<{ name: string, content: string }>, entry?: string }} source
+ *                               - Source code of a single file, or a multi-file project whose
+ *                                 entry defaults to the language's fileName
+ * @param {string} languageId   - Key from the language registry (see language-registry.js)
+ * @param {string[]} dependencies - Dependency specs to install before execution (see dependencies.js)
+ * @param {(line: string, type: 'stdout'|'stderr'|'system', phase?: 'install'|'run', diagnostic?: object) => void} onLine
+ *                               - diagnostic: set on the stderr line that completes an error
+ *                                 report (see diagnostics.js)
+ * @param {{ signal?: AbortSignal, stdin?: string, limits?: object, output?: object, allowNetwork?: boolean, version?: string, cases?: Array<object> }} [options]
+ *                               - signal: aborting it kills and removes the container
+ *                               - stdin: text written to the program's stdin before it is closed
+ *                               - limits: resolved limits (see limits.js), DEFAULT_LIMITS if omitted
+ *                               - output: output limits (see output-limits.js), DEFAULT_OUTPUT_LIMITS if omitted
+ *                               - allowNetwork: keep networking enabled during the run phase
+ *                               - version: id from the language's versions, its default if omitted
+ *                               - cases: judge mode test cases (see judge.js); stdin is then ignored
+ *                                 and limits.timeoutSec applies to the build and to each case
+ * @returns {Promise<{ exitCode: number, cancelled: boolean, limits: object, reason: string, metrics: object|null,
+ *                     artifacts?: Array<object>, judge?: object }>}
+ *                               - reason: why the run ended, one of EXIT_REASONS (see metrics.js)
+ *                               - metrics: run phase usage, null when the run was rejected before
+ *                                 starting; its fields are null when nothing was measured
+ *                               - artifacts: files from /workspace/out once the run phase has exited
+ *                               - judge: summarizeCases() report in judge mode; exitCode is 0 only
+ *                                 when every case passed
+ */
+async function runExecution(source, languageId, requestedDependencies, onLine, options = {}) {
+  const { signal } = options;
+  const stdin = typeof options.stdin === 'string' ? options.stdin : '';
+  const allowNetwork = options.allowNetwork === true;
+  const limits = { ...DEFAULT_LIMITS, ...options.limits };
+  const lang = getLanguage(languageId);
   if (!lang) {
     onLine(`[executor] Unknown language: ${languageId}`, 'system');
-    return { exitCode: 1 };
+    return { exitCode: 1, cancelled: false, limits, reason: 'error', metrics: null };
+  }
+
+  let project;
+  let dependencies;
+  let version;
+  let cases;
+  try {
+    version = resolveVersion(lang, options.version);
+    project = normalizeProject(source, lang);
+    cases = parseCases(options.cases);
+    // Callers validate already; re-checking keeps the installer argv safe for any caller
+    dependencies = parseDependencies(lang.ecosystem, (requestedDependencies || []).join(' '));
+  } catch (err) {
+    onLine(`[executor] ERROR: ${err.message}`, 'system');
+    return { exitCode: 1, cancelled: false, limits, reason: 'error', metrics: null };
+  }
+
+  const image = (version && version.image) || lang.image || BASE_IMAGE;
+
+  if (signal?.aborted) {
+    onLine('[executor] CANCELLED: Execution cancelled before it started', 'system');
+    return { exitCode: 1, cancelled: true, limits, reason: 'cancelled', metrics: null };
   }
 
   const sessionId = crypto.randomBytes(6).toString('hex');
   // This directory is mounted into the container as /input (read-only)
   const inputDir = path.join(os.tmpdir(), `executor-${sessionId}`);
 
+  const installCmd = dependencies.length > 0 && lang.installCommand
+    ? lang.installCommand(dependencies)
+    : null;
+  const runNetworkMode = allowNetwork ? 'bridge' : 'none';
+
+  // Program output, capped per phase; stderr of the run phase is also scanned
+  // for compiler and runtime errors
+  const diagnostics = createDiagnosticParser(lang.diagnostics, project.files.map(file => file.name));
+  const outputLimiters = {};
+  const getOutputLimiter = (phase) => {
+    if (!outputLimiters[phase]) outputLimiters[phase] = createOutputLimiter(options.output);
+    return outputLimiters[phase];
+  };
+  const onOutput = (line, type, phase) => {
+    const limiter = getOutputLimiter(phase);
+    const kept = limiter.push(line);
+    if (kept.notice) onLine(`[executor] ${kept.notice}`, 'system', phase);
+    if (limiter.overKillLimit) void onOutputExceeded(limiter.describeKill());
+    if (kept.line === null) return;
+
+    const diagnostic = type === 'stderr' && phase === 'run' ? diagnostics.push(kept.line) : null;
+    if (diagnostic) onLine(kept.line, type, phase, diagnostic);
+    else onLine(kept.line, type, phase);
+  };
+  const reportDiscarded = (phase) => {
+    const message = outputLimiters[phase] && outputLimiters[phase].describeDiscarded();
+    if (message) onLine(`[executor] ${message}`, 'system', phase);
+  };
+
   let container = null;
+  let depsVolume = null;
+  let deadline = 0;
   let timeoutHandle = null;
   let timedOut = false;
+  let cancelled = false;
+  let outputExceeded = false;
+  let outputLimitMessage = '';
+  let onAbort = null;
+  let onOutputExceeded = null;
+  let artifacts = [];
+  let statsWatcher = null;
+  let runStartedAt = 0;
+  let runEndedAt = 0;
+  let usage = { cpuTimeMs: null, peakMemoryBytes: null };
+  let oomKilled = false;
 
-  // Step 1: Write user code to input directory
-  fs.mkdirSync(inputDir, { recursive: true });
-  fs.writeFileSync(path.join(inputDir, lang.fileName), code, 'utf8');
-  onLine(`[executor] Language: ${lang.label}`, 'system');
+  // Aborting rejects this promise; it is raced against the container exit below.
+  // Before a container is running, each step checks `cancelled` instead.
+  const cancelPromise = new Promise((_, reject) => {
+    onAbort = async () => {
+      cancelled = true;
+      if (container) {
+        try { await container.kill(); } catch (_) {}
+      }
+      reject(new Error('Execution cancelled by user'));
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+  cancelPromise.catch(() => {});
 
-  if (dependencies.length > 0) {
-    onLine(`[executor] Installing: ${dependencies.join(', ')}`, 'system');
-  }
+  // Rejects once a phase prints past killAfterBytes; raced like cancelPromise
+  const outputLimitPromise = new Promise((_, reject) => {
+    onOutputExceeded = async (message) => {
+      if (outputExceeded) return;
+      outputExceeded = true;
+      outputLimitMessage = message;
+      if (container) {
+        try { await container.kill(); } catch (_) {}
+      }
+      reject(new Error(message));
+    };
+  });
+  outputLimitPromise.catch(() => {});
 
-  // Step 2: Get shell command from language config
-  const shellCmd = lang.buildCommand(dependencies);
+  const throwIfCancelled = () => {
+    if (cancelled) throw new Error('Execution cancelled by user');
+    if (outputExceeded) throw new Error(outputLimitMessage);
+  };
 
-  try {
-    // Step 3: Verify base image exists
-    try {
-      await docker.getImage(BASE_IMAGE).inspect();
-    } catch (_) {
-      throw new Error(`Base image '${BASE_IMAGE}' not found. Run: npm run build-image`);
+  const destroyContainer = async (phase) => {
+    if (!container) return;
+    const current = container;
+    container = null;
+    try { await current.remove({ force: true }); } catch (_) {}
+    onLine('[executor] Container destroyed', 'system', phase);
+  };
+
+  // Usage is measured for the run phase only: installs are cached and not the user's program
+  const startRunMetrics = () => {
+    runStartedAt = Date.now();
+    statsWatcher = watchStats(container);
+  };
+
+  // Must run before the container is removed, which loses its stats and state
+  const stopRunMetrics = async () => {
+    if (!statsWatcher) return;
+    const watcher = statsWatcher;
+    statsWatcher = null;
+    runEndedAt = Date.now();
+    usage = await watcher.stop();
+    if (container) oomKilled = await readOomKilled(container);
+  };
+
+  /**
+   * Adds the exit reason and metrics to a result. `failed` marks errors of
+   * Docker or the executor itself.
+   */
+  const finish = (result, failed = false) => {
+    const { reason, signal: exitSignal } = classifyExit({
+      exitCode: result.exitCode,
+      cancelled,
+      timedOut,
+      outputExceeded,
+      failed,
+      oomKilled,
+      peakMemoryBytes: usage.peakMemoryBytes,
+      memoryLimitBytes: limits.memoryMb * 1024 * 1024,
+    });
+    const metrics = {
+      wallTimeMs: runStartedAt ? runEndedAt - runStartedAt : null,
+      cpuTimeMs: usage.cpuTimeMs,
+      peakMemoryBytes: usage.peakMemoryBytes,
+      oomKilled,
+      signal: exitSignal,
+    };
+    return { ...result, reason, metrics };
+  };
+
+  /**
+   * Creates a fresh container for the phase, attaches to it and starts it.
+   */
+  const startNewContainer = async (phase, cmd, networkMode, hasStdin) => {
+    const binds = [`${inputDir}:/input:ro`];
+    if (depsVolume) {
+      binds.push(`${depsVolume}:/deps${phase === 'install' ? '' : ':ro'}`);
     }
 
-    // Step 4: Create container
     // /input is read-only (user code cannot be modified by the script)
-    // /workspace is a writable container-native dir (compilation output, node_modules, etc.)
+    // /workspace is a writable container-native dir (compilation output, etc.)
+    // Without stdin text the container gets no stdin at all, so reads hit EOF immediately.
     container = await docker.createContainer({
-      Image: BASE_IMAGE,
-      Cmd: ['sh', '-c', shellCmd],
+      Image: image,
+      Cmd: cmd,
+      Env: lang.env || [],
+      AttachStdin: hasStdin,
+      OpenStdin: hasStdin,
+      StdinOnce: hasStdin,
       AttachStdout: true,
       AttachStderr: true,
       Tty: false,
       WorkingDir: '/workspace',
       HostConfig: {
-        Binds: [`${inputDir}:/input:ro`],
-        Memory: MEMORY_LIMIT_BYTES,
-        MemorySwap: MEMORY_LIMIT_BYTES,
-        CpuPeriod: CPU_PERIOD,
-        CpuQuota: CPU_QUOTA,
-        PidsLimit: PIDS_LIMIT,
-        NetworkMode: 'bridge',
+        Binds: binds,
+        ...toHostConfig(limits),
+        NetworkMode: networkMode,
         AutoRemove: false,
       },
       User: 'runner',
     });
 
-    onLine('[executor] Container created', 'system');
+    onLine('[executor] Container created', 'system', phase);
+    throwIfCancelled();
 
-    // Step 5: Attach to output stream before starting
+    // Attach to output stream before starting.
+    // hijack gives a duplex socket so stdin can be written and half-closed
     const stream = await container.attach({
       stream: true,
+      stdin: hasStdin,
       stdout: true,
       stderr: true,
+      hijack: hasStdin,
     });
+    demuxStream(stream, (line, type) => onOutput(line, type, phase));
 
-    // Step 6: Demultiplex Docker's multiplexed stream
-    // Format: 8-byte header per frame [type(1), 0, 0, 0, size(4 big-endian)]
-    // type 1 = stdout, type 2 = stderr
-    let buffer = Buffer.alloc(0);
-    stream.on('data', (chunk) => {
-      buffer = Buffer.concat([buffer, chunk]);
-      while (buffer.length >= 8) {
-        const streamType = buffer[0];
-        const size = buffer.readUInt32BE(4);
-        if (buffer.length < 8 + size) break;
-        const payload = buffer.slice(8, 8 + size).toString('utf8');
-        buffer = buffer.slice(8 + size);
-        const type = streamType === 2 ? 'stderr' : 'stdout';
-        payload.split('\n').forEach(line => {
-          if (line.length > 0) onLine(line, type);
-        });
-      }
+    throwIfCancelled();
+    await container.start();
+
+    const exitPromise = container.wait().then(result => result?.StatusCode ?? 1);
+    return { stream, exitPromise };
+  };
+
+  /**
+   * Execs a command in the running container and passes its output frames on.
+   */
+  const startExec = async (cmd, hasStdin, onFrame) => {
+    const exec = await container.exec({
+      Cmd: cmd,
+      Env: lang.env || [],
+      User: 'runner',
+      WorkingDir: '/workspace',
+      AttachStdin: hasStdin,
+      AttachStdout: true,
+      AttachStderr: true,
+      Tty: false,
     });
+    const stream = await exec.start({ hijack: true, stdin: hasStdin });
+    demuxFrames(stream, onFrame);
 
-    // Step 7: Start
-    await container.start();
-    onLine('[executor] Execution started', 'system');
+    // The exec stream ends when the command exits (or the container is killed)
+    const exitPromise = new Promise((resolve) => {
+      let settled = false;
+      const settle = async () => {
+        if (settled) return;
+        settled = true;
+        try {
+          const info = await exec.inspect();
+          resolve(info.ExitCode ?? 137);
+        } catch (_) {
+          resolve(137);
+        }
+      };
+      stream.once('end', settle);
+      stream.once('close', settle);
+    });
+    return { stream, exitPromise };
+  };
+
+  /**
+   * Copies the project into an already running pool container and execs the
+   * run command in it. Pool containers have no network and no /deps mount.
+   */
+  const startInWarmContainer = async (warmContainer, cmd, hasStdin) => {
+    container = warmContainer;
+    onLine('[executor] Using warm container from pool', 'system', 'run');
+    await container.putArchive(tar.pack(inputDir), { path: '/input' });
+    throwIfCancelled();
+    return startExec(cmd, hasStdin, (payload, type) => {
+      payload.toString('utf8').split('\n').forEach(line => {
+        if (line.length > 0) onOutput(line, type, 'run');
+      });
+    });
+  };
+
+  /**
+   * Waits for a judge-mode exec. Should it outlive `limitMs` (the in-container
+   * `timeout` did not stop it), the container is killed and the run times out.
+   */
+  const awaitExec = async (exitPromise, limitMs) => {
+    let guard = null;
+    const guardPromise = new Promise((_, reject) => {
+      guard = setTimeout(async () => {
+        timedOut = true;
+        if (container) {
+          try { await container.kill(); } catch (_) {}
+        }
+        reject(new Error(`Execution exceeded ${limits.timeoutSec}s timeout`));
+      }, limitMs);
+    });
+    guardPromise.catch(() => {});
+    try {
+      return await Promise.race([exitPromise, guardPromise, cancelPromise, outputLimitPromise]);
+    } finally {
+      clearTimeout(guard);
+    }
+  };
+
+  /**
+   * Judge mode: one idle container for the whole run. The build step (when the
+   * language separates it) runs once; then the program runs once per case with
+   * that case's stdin, under `timeout` so each case gets the full time limit;
+   * the time and timeout verdict come from inside the container (CASE_WRAPPER).
+   * @returns {Promise<{ exitCode: number, report: object|null }>} report is null when the build failed
+   */
+  const runCases = async () => {
+    await startNewContainer('run', ['sleep', 'infinity'], runNetworkMode, false);
+    startRunMetrics();
+    const networkLabel = runNetworkMode === 'none' ? 'network disabled' : 'network enabled';
+    onLine(`[executor] Judging ${cases.length} test case(s) (${networkLabel})`, 'system', 'run');
+    const projectInfo = { entry: project.entry, files: project.files.map(file => file.name), version };
+    const compiled = typeof lang.buildCommand === 'function' && typeof lang.execCommand === 'function';
+    const limitMs = limits.timeoutSec * 1000;
+    const graceMs = 5000;
+    const printLines = (payload, type) => {
+      payload.toString('utf8').split('\n').forEach(line => {
+        if (line.length > 0) onOutput(line, type, 'run');
+      });
+    };
+
+    if (compiled) {
+      onLine('[executor] Building once for all test cases', 'system', 'run');
+      const build = await startExec(['sh', '-c', lang.buildCommand(projectInfo)], false, printLines);
+      const buildExitCode = await awaitExec(build.exitPromise, limitMs + graceMs);
+      throwIfCancelled();
+      if (buildExitCode !== 0) {
+        onLine(`[executor] Build failed with code ${buildExitCode}`, 'system', 'run');
+        return { exitCode: buildExitCode, report: null };
+      }
+    }
+
+    const programCmd = compiled ? lang.execCommand(projectInfo) : lang.runCommand(projectInfo);
+    // Unknown to the program, so its own output cannot pass for the wrapper's report
+    const nonce = crypto.randomBytes(8).toString('hex');
+    const reportPattern = new RegExp(`\\n${nonce} (\\d+) (\\d+)\\n$`);
+    const results = [];
+    for (const [index, testCase] of cases.entries()) {
+      const chunks = [];
+      let stdoutBytes = 0;
+      let report = null;
+      const startedAt = Date.now();
+      const run = await startExec(
+        ['sh', '-c', CASE_WRAPPER, 'judge-case', programCmd, String(limits.timeoutSec), nonce],
+        testCase.stdin.length > 0,
+        (payload, type) => {
+          if (type === 'stderr') {
+            const text = payload.toString('utf8');
+            const match = reportPattern.exec(text);
+            if (match) {
+              report = { exitCode: Number(match[1]), timeMs: Number(match[2]) };
+              printLines(Buffer.from(text.slice(0, match.index)), 'stderr');
+            } else {
+              printLines(payload, 'stderr');
+            }
+          } else if (stdoutBytes < MAX_CASE_STDOUT_BYTES) {
+            chunks.push(payload);
+            stdoutBytes += payload.length;
+          }
+        }
+      );
+      if (testCase.stdin.length > 0) {
+        run.stream.end(testCase.stdin.endsWith('\n') ? testCase.stdin : `${testCase.stdin}\n`);
+      }
+      const exitCode = await awaitExec(run.exitPromise, limitMs + graceMs);
+      throwIfCancelled();
+      // Without the wrapper's report (it could not run), fall back to the exec's wall time
+      const timeMs = report ? report.timeMs : Date.now() - startedAt;
+
+      const result = judgeCase(testCase, index, {
+        stdout: Buffer.concat(chunks).toString('utf8'),
+        exitCode,
+        // A program killed by SIGKILL early (e.g. out of memory) is no timeout
+        timedOut: report !== null && report.exitCode === TIMEOUT_EXIT_CODE && report.timeMs >= limitMs,
+        timeMs,
+      });
+      results.push(result);
+      const detail = result.status === 'error' ? ` (exit code ${exitCode})` : '';
+      onLine(`[executor] ${testCase.name}: ${result.status.toUpperCase()}${detail} in ${timeMs} ms`, 'system', 'run');
+    }
+
+    reportDiscarded('run');
+    const report = summarizeCases(results);
+    onLine(`[executor] Tests: ${report.passed}/${report.total} passed`, 'system', 'run');
+    return { exitCode: report.failed === 0 ? 0 : 1, report };
+  };
+
+  /**
+   * Runs one phase in its own container and resolves with its exit code.
+   * The timeout covers both phases together.
+   */
+  const runPhase = async (phase, command, networkMode, phaseStdin) => {
+    // Array commands run in exec form; strings go through sh -c
+    const cmd = Array.isArray(command) ? command : ['sh', '-c', command];
+    const hasStdin = phaseStdin.length > 0;
+    const requestedAt = Date.now();
 
-    // Step 8: Enforce timeout
-    const exitPromise = container.wait();
+    // Network mode and mounts are fixed at creation, so only offline runs
+    // without a dependency layer can use a pre-created container.
+    const canUsePool = phase === 'run' && networkMode === 'none' && !depsVolume && image === BASE_IMAGE;
+    const warmContainer = canUsePool ? await pool.claim(limits) : null;
+    const { stream, exitPromise } = warmContainer
+      ? await startInWarmContainer(warmContainer, cmd, hasStdin)
+      : await startNewContainer(phase, cmd, networkMode, hasStdin);
+
+    if (phase === 'run') {
+      pool.recordStart(warmContainer ? 'warm' : 'cold', Date.now() - requestedAt);
+      startRunMetrics();
+    }
+    const networkLabel = networkMode === 'none' ? 'network disabled' : 'network enabled';
+    onLine(`[executor] ${phase === 'install' ? 'Installing dependencies' : 'Execution started'} (${networkLabel})`, 'system', phase);
+
+    if (hasStdin) {
+      stream.end(phaseStdin.endsWith('\n') ? phaseStdin : `${phaseStdin}\n`);
+    }
+
+    // Enforce the timeout that remains for the run as a whole
     const timeoutPromise = new Promise((_, reject) => {
       timeoutHandle = setTimeout(async () => {
         timedOut = true;
-        try { await container.kill(); } catch (_) {}
-        reject(new Error(`Execution exceeded ${TIMEOUT_MS / 1000}s timeout`));
-      }, TIMEOUT_MS);
+        if (container) {
+          try { await container.kill(); } catch (_) {}
+        }
+        reject(new Error(`Execution exceeded ${limits.timeoutSec}s timeout`));
+      }, Math.max(0, deadline - Date.now()));
     });
 
-    // Step 9: Wait for exit or timeout
-    const result = await Promise.race([exitPromise, timeoutPromise]);
+    // Wait for exit, timeout or cancellation
+    const exitCode = await Promise.race([exitPromise, timeoutPromise, cancelPromise, outputLimitPromise]);
     clearTimeout(timeoutHandle);
+    // A kill on abort or timeout can let the exit settle before the rejection
+    throwIfCancelled();
+    if (timedOut) throw new Error(`Execution exceeded ${limits.timeoutSec}s timeout`);
+    reportDiscarded(phase);
+
+    if (phase === 'run') {
+      await stopRunMetrics();
+      artifacts = await collectArtifacts(container, line => onLine(`[executor] ${line}`, 'system', 'run'));
+      if (artifacts.length > 0) {
+        onLine(`[executor] Artifacts: ${artifacts.map(artifact => artifact.name).join(', ')}`, 'system', 'run');
+      }
+    }
+    await destroyContainer(phase);
+    return exitCode;
+  };
+
+  // Step 1: Write project files to input directory
+  fs.mkdirSync(inputDir, { recursive: true });
+  project.files.forEach(({ name, content }) => {
+    const target = resolveProjectPath(inputDir, name);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, content, 'utf8');
+  });
+  onLine(`[executor] Language: ${lang.label}${version ? ` (${version.label})` : ''}`, 'system');
+  if (project.files.length > 1) {
+    onLine(`[executor] Files: ${project.files.length} (entry: ${project.entry})`, 'system');
+  }
+  onLine(`[executor] Limits: ${formatLimits(limits)}`, 'system');
+
+  try {
+    // Step 2: Verify the language's image exists
+    try {
+      await docker.getImage(image).inspect();
+    } catch (_) {
+      throw new Error(describeMissingImage(image, lang, version));
+    }
+    throwIfCancelled();
+
+    deadline = Date.now() + limits.timeoutSec * 1000;
+
+    // Step 3: Install phase (network enabled), skipped when the layer is cached
+    if (installCmd) {
+      const cacheKey = depCache.getCacheKey(lang.id, dependencies, version && version.id);
+      const installExitCode = await depCache.runExclusive(cacheKey, async () => {
+        if (await depCache.lookup(cacheKey)) {
+          depsVolume = depCache.getVolumeName(cacheKey);
+          onLine(`[executor] Dependencies restored from cache: ${dependencies.join(', ')}`, 'system', 'install');
+          return 0;
+        }
+
+        depsVolume = await depCache.createLayerVolume(cacheKey, lang.id);
+        onLine(`[executor] Installing: ${dependencies.join(', ')}`, 'system', 'install');
+        let phaseExitCode = 1;
+        try {
+          phaseExitCode = await runPhase('install', installCmd, 'bridge', '');
+        } finally {
+          if (phaseExitCode === 0) {
+            depCache.markComplete(cacheKey, lang.id, dependencies, version && version.id);
+          } else {
+            // Never leave a half-filled layer behind
+            await destroyContainer('install');
+            await depCache.removeLayerVolume(cacheKey);
+          }
+        }
+        return phaseExitCode;
+      });
+
+      if (installExitCode !== 0) {
+        onLine(`[executor] Dependency installation failed with code ${installExitCode}`, 'system', 'install');
+        return finish({ exitCode: installExitCode, cancelled: false, limits });
+      }
+    }
 
-    const exitCode = result?.StatusCode ?? 1;
-    if (exitCode === 0) {
+    // Step 4: Run phase (network disabled unless the run allows it)
+    if (cases) {
+      const { exitCode, report } = await runCases();
+      await stopRunMetrics();
+      if (report) {
+        artifacts = await collectArtifacts(container, line => onLine(`[executor] ${line}`, 'system', 'run'));
+      }
+      await destroyContainer('run');
+      return finish({ exitCode, cancelled: false, limits, artifacts, judge: report });
+    }
+
+    const runCmd = lang.runCommand({
+      entry: project.entry,
+      files: project.files.map(file => file.name),
+      version,
+    });
+    const exitCode = await runPhase('run', runCmd, runNetworkMode, stdin);
+    const result = finish({ exitCode, cancelled: false, limits, artifacts });
+    if (result.reason === 'success') {
       onLine('[executor] Completed successfully', 'system');
-    } else if (!timedOut) {
+    } else if (result.reason === 'oom') {
+      onLine(`[executor] Killed: out of memory (limit ${limits.memoryMb} MB)`, 'system');
+    } else if (result.reason === 'signal') {
+      onLine(`[executor] Terminated by ${result.metrics.signal} (exit code ${exitCode})`, 'system');
+    } else {
       onLine(`[executor] Exited with code ${exitCode}`, 'system');
     }
 
-    return { exitCode };
+    return result;
 
   } catch (err) {
     clearTimeout(timeoutHandle);
-    const prefix = timedOut ? 'TIMEOUT' : 'ERROR';
+    await stopRunMetrics();
+    const prefix = cancelled ? 'CANCELLED' : timedOut ? 'TIMEOUT' : outputExceeded ? 'OUTPUT LIMIT' : 'ERROR';
     onLine(`[executor] ${prefix}: ${err.message}`, 'system');
-    return { exitCode: 1 };
+    return finish({ exitCode: 1, cancelled, limits }, !cancelled && !timedOut && !outputExceeded);
 
   } finally {
-    // Step 10: Always destroy container and input directory
-    if (container) {
-      try { await container.remove({ force: true }); } catch (_) {}
-      onLine('[executor] Container destroyed', 'system');
-    }
+    if (signal) signal.removeEventListener('abort', onAbort);
+    // Step 5: Always destroy container and input directory (cached layers stay)
+    await destroyContainer();
     try { fs.rmSync(inputDir, { recursive: true, force: true }); } catch (_) {}
   }
 }
 
-module.exports = { runExecution };
+module.exports = { runExecution, normalizeProject, describeMissingImage, BASE_IMAGE, MAX_PROJECT_FILES };
 
@@ -0,0 +1,294 @@
+/**
+ * jobs.js
+ * In-memory job manager shared by the bridge server and the desktop app.
+ *
+ * Responsibilities:
+ * - Assign every run an ID and keep its status, result, output lines, artifacts
+ *   and judge report
+ * - Queue runs and execute up to `concurrency` of them at the same time
+ * - Cancel queued or running jobs by ID
+ * - Forget the oldest finished jobs once `maxFinishedJobs` is exceeded
+ * - Keep artifact contents of the most recent jobs only, up to
+ *   `maxArtifactBytes` in total; older jobs keep the artifact list without data
+ *
+ * Job status lifecycle:
+ *   queued -> running -> completed | failed | cancelled
+ *   queued -> cancelled                      (cancelled before it started)
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { runExecution } = require('./executor');
+const { describeArtifacts } = require('./artifacts');
+
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_MAX_FINISHED_JOBS = 50;
+// Base64 artifact data kept across finished jobs; one run produces up to ~27 MB
+const DEFAULT_MAX_ARTIFACT_BYTES = 64 * 1024 * 1024;
+
+const FINISHED_STATUSES = new Set(['completed', 'failed', 'cancelled']);
+
+/**
+ * Public view of a job, without its output lines, artifact contents or internal handles.
+ */
+function toJobSummary(job) {
+  return {
+    id: job.id,
+    languageId: job.languageId,
+    version: job.version,
+    status: job.status,
+    position: job.position,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    exitCode: job.exitCode,
+    reason: job.reason,
+    metrics: job.metrics,
+    error: job.error,
+    limits: job.limits || null,
+    lineCount: job.lines.length,
+    artifacts: describeArtifacts(job.artifacts),
+    judge: job.judge ? { total: job.judge.total, passed: job.judge.passed, failed: job.judge.failed } : null,
+  };
+}
+
+function artifactBytes(artifacts) {
+  return artifacts.reduce((total, artifact) => total + (artifact.data ? artifact.data.length : 0), 0);
+}
+
+/**
+ * @param {{ concurrency?: number, maxFinishedJobs?: number, maxArtifactBytes?: number }} [options]
+ */
+function createJobManager(options = {}) {
+  const concurrency = Math.max(1, Number(options.concurrency) || DEFAULT_CONCURRENCY);
+  const maxFinishedJobs = Math.max(1, Number(options.maxFinishedJobs) || DEFAULT_MAX_FINISHED_JOBS);
+  const maxArtifactBytes = Math.max(0, Number(options.maxArtifactBytes) || DEFAULT_MAX_ARTIFACT_BYTES);
+
+  const jobs = new Map();
+  const queue = [];
+  const finishedIds = [];
+  // Finished jobs that still hold artifact data, oldest first
+  const artifactJobIds = [];
+  let retainedArtifactBytes = 0;
+  let runningCount = 0;
+
+  function updateQueuePositions() {
+    jobs.forEach(job => { job.position = null; });
+    queue.forEach((job, index) => { job.position = index + 1; });
+  }
+
+  function dropArtifactData(id) {
+    const job = jobs.get(id);
+    if (!job) return;
+    retainedArtifactBytes -= artifactBytes(job.artifacts);
+    job.artifacts = describeArtifacts(job.artifacts);
+  }
+
+  function retainArtifacts(job) {
+    if (job.artifacts.length === 0) return;
+    artifactJobIds.push(job.id);
+    retainedArtifactBytes += artifactBytes(job.artifacts);
+    // The newest job keeps its files even alone over the budget
+    while (retainedArtifactBytes > maxArtifactBytes && artifactJobIds.length > 1) {
+      dropArtifactData(artifactJobIds.shift());
+    }
+  }
+
+  function finish(job, status, fields) {
+    Object.assign(job, fields, { status, finishedAt: new Date().toISOString() });
+    job.resolve(toJobSummary(job));
+    retainArtifacts(job);
+    // Finished jobs only serve their summary, output lines and judge report;
+    // drop the request (a bridge body may be 5 MB) and the caller's onLine,
+    // which can hold a finished HTTP response
+    job.source = null;
+    job.stdin = null;
+    job.cases = null;
+    job.dependencies = null;
+    job.output = null;
+    job.controller = null;
+    job.onLine = () => {};
+
+    finishedIds.push(job.id);
+    while (finishedIds.length > maxFinishedJobs) {
+      const id = finishedIds.shift();
+      const index = artifactJobIds.indexOf(id);
+      if (index !== -1) {
+        dropArtifactData(id);
+        artifactJobIds.splice(index, 1);
+      }
+      jobs.delete(id);
+    }
+  }
+
+  async function execute(job) {
+    runningCount += 1;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+
+    try {
+      const result = await runExecution(job.source, job.languageId, job.dependencies, job.onLine, {
+        signal: job.controller.signal,
+        stdin: job.stdin,
+        limits: job.limits,
+        output: job.output || undefined,
+        allowNetwork: job.allowNetwork,
+        version: job.version || undefined,
+        cases: job.cases || undefined,
+      });
+      const status = result.cancelled ? 'cancelled' : 'completed';
+      finish(job, status, {
+        exitCode: result.exitCode,
+        reason: result.reason,
+        metrics: result.metrics,
+        limits: result.limits,
+        artifacts: result.artifacts || [],
+        judge: result.judge || null,
+      });
+    } catch (error) {
+      finish(job, 'failed', { exitCode: 1, reason: 'infra-failure', error: error.message });
+    } finally {
+      runningCount -= 1;
+      drain();
+    }
+  }
+
+  function drain() {
+    while (runningCount < concurrency && queue.length > 0) {
+      void execute(queue.shift());
+    }
+    updateQueuePositions();
+  }
+
+  /**
+   * Queues a run. `onLine` receives the job's output as it is produced;
+   * the same lines are also kept on the job for later retrieval, with the
+   * diagnostic parsed from a line (see diagnostics.js) stored on it.
+   *
+   * @param {{ source: string|object, languageId: string, version?: string, dependencies: string[], stdin?: string, limits?: object, output?: object, allowNetwork?: boolean, cases?: object[] }} request
+   *   source is passed to runExecution as-is (single file code or { files, entry });
+   *   output holds the configured output limits (see output-limits.js);
+   *   cases turns the run into a judged one (see judge.js)
+   * @param {(line: string, type: string, phase?: string, diagnostic?: object) => void} [onLine]
+   * @returns {object} job summary
+   */
+  function submit(request, onLine) {
+    const job = {
+      id: crypto.randomBytes(6).toString('hex'),
+      source: request.source,
+      languageId: request.languageId,
+      version: request.version || null,
+      dependencies: request.dependencies,
+      stdin: request.stdin || '',
+      limits: request.limits,
+      output: request.output || null,
+      allowNetwork: request.allowNetwork === true,
+      cases: request.cases || null,
+      status: 'queued',
+      position: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      exitCode: null,
+      reason: null,
+      metrics: null,
+      error: null,
+      lines: [],
+      artifacts: [],
+      judge: null,
+      controller: new AbortController(),
+    };
+
+    job.onLine = (line, type, phase, diagnostic) => {
+      const item = phase ? { line, type, phase } : { line, type };
+      if (diagnostic) item.diagnostic = diagnostic;
+      job.lines.push(item);
+      if (onLine) onLine(line, type, phase, diagnostic);
+    };
+    job.done = new Promise((resolve) => { job.resolve = resolve; });
+
+    jobs.set(job.id, job);
+    queue.push(job);
+    drain();
+
+    if (job.status === 'queued') {
+      job.onLine(`[executor] Queued at position ${job.position}`, 'system');
+    }
+
+    return toJobSummary(job);
+  }
+
+  /**
+   * @returns {boolean} false if the job is unknown or already finished
+   */
+  function cancel(id) {
+    const job = jobs.get(id);
+    if (!job || FINISHED_STATUSES.has(job.status)) return false;
+
+    if (job.status === 'queued') {
+      queue.splice(queue.indexOf(job), 1);
+      job.onLine('[executor] CANCELLED: Execution cancelled before it started', 'system');
+      finish(job, 'cancelled', { exitCode: 1, reason: 'cancelled' });
+      updateQueuePositions();
+      return true;
+    }
+
+    job.controller.abort();
+    return true;
+  }
+
+  /** @returns {object|null} job summary */
+  function get(id) {
+    const job = jobs.get(id);
+    return job ? toJobSummary(job) : null;
+  }
+
+  /** @returns {object[]} job summaries, oldest first */
+  function list() {
+    return [...jobs.values()].map(toJobSummary);
+  }
+
+  /**
+   * @param {number} [since] - index of the first line to return
+   * @returns {{ id, status, lines, nextLine }|null}
+   */
+  function getOutput(id, since = 0) {
+    const job = jobs.get(id);
+    if (!job) return null;
+    const start = Math.max(0, Number(since) || 0);
+    return {
+      id: job.id,
+      status: job.status,
+      lines: job.lines.slice(start),
+      nextLine: job.lines.length,
+    };
+  }
+
+  /**
+   * @returns {Array<{ name, size, mimeType, data? }>|null} artifacts with their base64 contents;
+   *          `data` is missing once newer jobs pushed them out of `maxArtifactBytes`
+   */
+  function getArtifacts(id) {
+    const job = jobs.get(id);
+    return job ? job.artifacts : null;
+  }
+
+  /**
+   * @returns {object|null} full judge report with per-case diffs, null for unjudged or unknown jobs
+   */
+  function getJudgeReport(id) {
+    const job = jobs.get(id);
+    return job ? job.judge : null;
+  }
+
+  /** @returns {Promise<object>|null} resolves with the final job summary */
+  function waitFor(id) {
+    const job = jobs.get(id);
+    return job ? job.done : null;
+  }
+
+  return { submit, cancel, get, list, getOutput, getArtifacts, getJudgeReport, waitFor, concurrency };
+}
+
+module.exports = { createJobManager };
@@ -0,0 +1,162 @@
+/**
+ * judge.js
+ * Test cases for judge mode: validation, output comparison and diffs.
+ *
+ * A judged run attaches cases to the project. The executor builds the program
+ * once and runs it once per case with the case's stdin (see runExecution);
+ * this module decides whether each run passed.
+ *
+ * Case:   { name?: string, stdin?: string, expected: string }
+ * Result: { index, name, status, passed, timedOut, exitCode, timeMs, actual, diff }
+ *         status: 'passed' | 'failed' (wrong output) | 'error' (non-zero exit) | 'timeout'
+ *
+ * Outputs are compared line by line ignoring trailing whitespace, trailing
+ * blank lines and \r\n versus \n, the usual tolerance of programming judges.
+ */
+
+'use strict';
+
+const MAX_CASES = 50;
+const MAX_CASE_NAME_LENGTH = 80;
+const MAX_CASE_TEXT_BYTES = 1024 * 1024;
+// Actual output kept per case; the comparison itself uses everything read
+const MAX_ACTUAL_CHARS = 64 * 1024;
+// Larger outputs get a first-difference report instead of a full diff
+const MAX_DIFF_LINES = 2000;
+const DIFF_CONTEXT = 2;
+
+/**
+ * @param {unknown} value - `cases` from a run payload
+ * @returns {Array<{ name: string, stdin: string, expected: string }>|null} null when the run is not judged
+ * @throws {Error} naming the first invalid case
+ */
+function parseCases(value) {
+  if (value === undefined || value === null) return null;
+  if (!Array.isArray(value)) throw new Error('cases must be an array');
+  if (value.length === 0) return null;
+  if (value.length > MAX_CASES) throw new Error(`Too many test cases (max ${MAX_CASES})`);
+
+  return value.map((item, index) => {
+    const label = `cases[${index}]`;
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      throw new Error(`${label} must be an object`);
+    }
+    const stdin = item.stdin === undefined ? '' : item.stdin;
+    if (typeof stdin !== 'string') throw new Error(`${label}.stdin must be a string`);
+    if (typeof item.expected !== 'string') throw new Error(`${label}.expected must be a string`);
+    if (Buffer.byteLength(stdin) > MAX_CASE_TEXT_BYTES || Buffer.byteLength(item.expected) > MAX_CASE_TEXT_BYTES) {
+      throw new Error(`${label} is too large (max 1 MB per field)`);
+    }
+    const name = item.name === undefined || item.name === '' ? `Case ${index + 1}` : item.name;
+    if (typeof name !== 'string' || name.length > MAX_CASE_NAME_LENGTH) {
+      throw new Error(`${label}.name must be a string of at most ${MAX_CASE_NAME_LENGTH} characters`);
+    }
+    return { name, stdin, expected: item.expected };
+  });
+}
+
+function toLines(text) {
+  const lines = text.replace(/\r\n/g, '\n').split('\n').map(line => line.replace(/\s+$/, ''));
+  while (lines.length > 0 && lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Line diff of expected against actual: unchanged lines start with two spaces,
+ * missing ones with "- ", unexpected ones with "+ ". Only DIFF_CONTEXT unchanged
+ * lines are kept around each change; "@@" marks where lines were left out.
+ */
+function diffLines(expected, actual) {
+  if (expected.length > MAX_DIFF_LINES || actual.length > MAX_DIFF_LINES) {
+    const index = expected.findIndex((line, i) => line !== actual[i]);
+    const at = index === -1 ? Math.min(expected.length, actual.length) : index;
+    return [
+      `@@ first difference at line ${at + 1} (output too long for a full diff)`,
+      ...(at < expected.length ? [`- ${expected[at]}`] : []),
+      ...(at < actual.length ? [`+ ${actual[at]}`] : []),
+    ];
+  }
+
+  // Longest common subsequence table, filled from the end
+  const rows = expected.length;
+  const cols = actual.length;
+  const lcs = Array.from({ length: rows + 1 }, () => new Uint16Array(cols + 1));
+  for (let i = rows - 1; i >= 0; i -= 1) {
+    for (let j = cols - 1; j >= 0; j -= 1) {
+      lcs[i][j] = expected[i] === actual[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < rows || j < cols) {
+    if (i < rows && j < cols && expected[i] === actual[j]) {
+      ops.push(`  ${expected[i]}`);
+      i += 1;
+      j += 1;
+    } else if (i < rows && (j === cols || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      ops.push(`- ${expected[i]}`);
+      i += 1;
+    } else {
+      ops.push(`+ ${actual[j]}`);
+      j += 1;
+    }
+  }
+
+  const changed = ops.map(op => !op.startsWith('  '));
+  const nearChange = (index) => changed
+    .slice(Math.max(0, index - DIFF_CONTEXT), index + DIFF_CONTEXT + 1)
+    .some(Boolean);
+
+  const diff = [];
+  let lastKept = -1;
+  ops.forEach((op, index) => {
+    if (!nearChange(index)) return;
+    if (lastKept !== -1 && index > lastKept + 1) diff.push('@@');
+    diff.push(op);
+    lastKept = index;
+  });
+  return diff;
+}
+
+/**
+ * @param {{ name, expected }} testCase
+ * @param {number} index
+ * @param {{ stdout: string, exitCode: number, timedOut: boolean, timeMs: number }} run
+ */
+function judgeCase(testCase, index, run) {
+  const expectedLines = toLines(testCase.expected);
+  const actualLines = toLines(run.stdout);
+  const sameOutput = expectedLines.length === actualLines.length
+    && expectedLines.every((line, i) => line === actualLines[i]);
+
+  let status = 'passed';
+  if (run.timedOut) status = 'timeout';
+  else if (run.exitCode !== 0) status = 'error';
+  else if (!sameOutput) status = 'failed';
+
+  return {
+    index,
+    name: testCase.name,
+    status,
+    passed: status === 'passed',
+    timedOut: run.timedOut,
+    exitCode: run.exitCode,
+    timeMs: run.timeMs,
+    actual: run.stdout.length > MAX_ACTUAL_CHARS ? run.stdout.slice(0, MAX_ACTUAL_CHARS) : run.stdout,
+    diff: sameOutput ? [] : diffLines(expectedLines, actualLines),
+  };
+}
+
+/**
+ * @returns {{ total: number, passed: number, failed: number, cases: object[] }}
+ */
+function summarizeCases(results) {
+  const passed = results.filter(result => result.passed).length;
+  return { total: results.length, passed, failed: results.length - passed, cases: results };
+}
+
+module.exports = { MAX_CASES, parseCases, judgeCase, summarizeCases };
@@ -0,0 +1,334 @@
+/**
+ * language-registry.js
+ * Built-in languages merged with user-defined ones from a config file.
+ *
+ * Location: $ASH_BOX_LANGUAGES, or ~/.ash-box/languages.json
+ * A missing file means "built-ins only"; an invalid file is an error.
+ *
+ * Format:
+ * {
+ *   "languages": [
+ *     {
+ *       "id": "pypy",
+ *       "label": "PyPy",
+ *       "fileName": "main.py",
+ *       "extensions": [".py"],
+ *       "image": "ash-box-pypy:latest",
+ *       "monacoLanguage": "python",
+ *       "versions": [
+ *         { "id": "3.10", "label": "PyPy 3.10", "image": "ash-box-pypy:3.10" }
+ *       ],
+ *       "defaultVersion": "3.10",
+ *       "env": ["PYTHONPATH=/deps"],
+ *       "diagnostics": "python",
+ *       "dependencies": {
+ *         "ecosystem": "pip",
+ *         "label": "pip packages",
+ *         "placeholder": "e.g. requests",
+ *         "install": ["pypy3", "-m", "pip", "install", "--target", "/deps", "{deps}"]
+ *       },
+ *       "build": "pypy3 -m py_compile {files}",
+ *       "run": "pypy3 {entry}",
+ *       "repl": ["pypy3", "-q"],
+ *       "starterCode": "print('Hello from Ash Box')\n"
+ *     }
+ *   ]
+ * }
+ * - id:           lowercase key; reusing a built-in id replaces that language
+ * - extensions:   optional, files the CLI runs with this language; defaults to the
+ *                 extension of fileName. A built-in claiming the same one wins.
+ * - image:        optional, defaults to the base image. Other images must provide the
+ *                 same layout (a `runner` user, writable /workspace and /deps), most
+ *                 easily by building FROM the base image. They never use the warm pool.
+ * - versions:     optional selectable versions, each backed by its own image;
+ *                 defaultVersion defaults to the first one
+ * - dependencies: optional. ecosystem picks the spec format checked before install
+ *                 (see dependencies.js). install is an argv with one "{deps}" element,
+ *                 replaced by the validated specs.
+ * - diagnostics:  optional error format of the toolchain, one of the formats in
+ *                 diagnostics.js ("gcc", "python", ...); without it errors stay plain output
+ * - build, run:   shell commands run in /workspace after the project is copied in.
+ *                 {entry} and {files} expand to the shell-quoted entry file and all
+ *                 project files. build is optional. Files written to out/ become
+ *                 run artifacts. In judge mode build runs once and run once per case.
+ * - repl:         optional argv (no shell) of an interactive prompt, which enables
+ *                 interactive sessions for the language (see sessions.js)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { LANGUAGES, COPY_PROJECT, shellQuote, quoteAll } = require('./languages');
+const { ECOSYSTEM_NAMES } = require('./dependencies');
+const { DIAGNOSTIC_FORMATS } = require('./diagnostics');
+const { getConfigDir } = require('./config');
+
+const ID_PATTERN = /^[a-z][a-z0-9_-]{0,31}$/;
+const FILE_NAME_PATTERN = /^[A-Za-z0-9_-][A-Za-z0-9._-]*$/;
+const ENV_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*=/;
+const VERSION_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._+-]{0,31}$/;
+const EXTENSION_PATTERN = /^\.[A-Za-z0-9]{1,15}$/;
+// {name} but not ${name}, which belongs to the shell
+const PLACEHOLDER_PATTERN = /(?<!\$)\{(\w+)\}/g;
+const TEMPLATE_FIELDS = ['entry', 'files'];
+const DEPS_PLACEHOLDER = '{deps}';
+
+let registry = { ...LANGUAGES };
+
+function getLanguagesPath() {
+  return process.env.ASH_BOX_LANGUAGES || path.join(getConfigDir(), 'languages.json');
+}
+
+function readLanguagesFile(filePath) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw new Error(`Cannot read languages ${filePath}: ${error.message}`);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Invalid languages ${filePath}: ${error.message}`);
+  }
+  if (!data || !Array.isArray(data.languages)) {
+    throw new Error(`Invalid languages ${filePath}: "languages" must be an array`);
+  }
+  return data.languages;
+}
+
+function requireString(value, name, { optional = false } = {}) {
+  if (value === undefined && optional) return undefined;
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new Error(`${name} must be a non-empty string`);
+  }
+  return value;
+}
+
+function checkTemplate(template, name) {
+  for (const [, field] of template.matchAll(PLACEHOLDER_PATTERN)) {
+    if (!TEMPLATE_FIELDS.includes(field)) {
+      throw new Error(`${name} uses unknown placeholder {${field}} (allowed: {entry}, {files})`);
+    }
+  }
+}
+
+function fillTemplate(template, project) {
+  const values = { entry: shellQuote(project.entry), files: quoteAll(project.files) };
+  return template.replace(PLACEHOLDER_PATTERN, (_, field) => values[field]);
+}
+
+function compileDependencies(value, name) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`${name} must be an object`);
+  }
+  if (!ECOSYSTEM_NAMES.includes(value.ecosystem)) {
+    throw new Error(`${name}.ecosystem must be one of: ${ECOSYSTEM_NAMES.join(', ')}`);
+  }
+  const install = value.install;
+  if (!Array.isArray(install) || install.length === 0 || !install.every(arg => typeof arg === 'string')) {
+    throw new Error(`${name}.install must be a non-empty array of strings`);
+  }
+  if (install.filter(arg => arg === DEPS_PLACEHOLDER).length !== 1) {
+    throw new Error(`${name}.install must contain "${DEPS_PLACEHOLDER}" exactly once`);
+  }
+
+  return {
+    hasDeps: true,
+    depsLabel: requireString(value.label, `${name}.label`, { optional: true }) || 'Packages',
+    depsPlaceholder: requireString(value.placeholder, `${name}.placeholder`, { optional: true }) || null,
+    ecosystem: value.ecosystem,
+    installCommand(deps) {
+      return install.flatMap(arg => (arg === DEPS_PLACEHOLDER ? deps : [arg]));
+    },
+  };
+}
+
+function compileVersions(value, defaultVersion, name) {
+  if (value === undefined) return { versions: [], defaultVersion: null };
+  if (!Array.isArray(value) || value.length === 0) {
+    throw new Error(`${name}: versions must be a non-empty array`);
+  }
+
+  const versions = value.map((version, index) => {
+    if (!version || typeof version.id !== 'string' || !VERSION_ID_PATTERN.test(version.id)) {
+      throw new Error(`${name}: versions[${index}].id must be letters, digits, ".", "+", "-" or "_"`);
+    }
+    return {
+      id: version.id,
+      label: requireString(version.label, `${name}: versions[${index}].label`, { optional: true }) || version.id,
+      image: requireString(version.image, `${name}: versions[${index}].image`),
+    };
+  });
+  if (new Set(versions.map(version => version.id)).size !== versions.length) {
+    throw new Error(`${name}: version ids must be unique`);
+  }
+
+  const fallback = defaultVersion === undefined ? versions[0].id : defaultVersion;
+  if (!versions.some(version => version.id === fallback)) {
+    throw new Error(`${name}: defaultVersion must be one of the version ids`);
+  }
+  return { versions, defaultVersion: fallback };
+}
+
+/**
+ * Turns one config entry into a registry entry with the same shape as the built-ins.
+ */
+function compileLanguage(value, index) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`languages[${index}] must be an object`);
+  }
+  const id = value.id;
+  if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+    throw new Error(`languages[${index}].id must be lowercase letters, digits, "-" or "_" (max 32)`);
+  }
+  const name = `language "${id}"`;
+
+  const fileName = requireString(value.fileName, `${name}: fileName`);
+  if (!FILE_NAME_PATTERN.test(fileName)) {
+    throw new Error(`${name}: fileName must be a plain file name`);
+  }
+  const defaultExtension = path.extname(fileName);
+  const extensions = value.extensions === undefined ? [defaultExtension].filter(Boolean) : value.extensions;
+  if (!Array.isArray(extensions) || !extensions.every(item => typeof item === 'string' && EXTENSION_PATTERN.test(item))) {
+    throw new Error(`${name}: extensions must be an array like [".py"]`);
+  }
+  const env = value.env === undefined ? [] : value.env;
+  if (!Array.isArray(env) || !env.every(item => typeof item === 'string' && ENV_PATTERN.test(item))) {
+    throw new Error(`${name}: env must be an array of "KEY=value" strings`);
+  }
+  const diagnostics = value.diagnostics === undefined ? null : value.diagnostics;
+  if (diagnostics !== null && !DIAGNOSTIC_FORMATS.includes(diagnostics)) {
+    throw new Error(`${name}: diagnostics must be one of: ${DIAGNOSTIC_FORMATS.join(', ')}`);
+  }
+  const build = requireString(value.build, `${name}: build`, { optional: true });
+  const run = requireString(value.run, `${name}: run`);
+  if (build) checkTemplate(build, `${name}: build`);
+  checkTemplate(run, `${name}: run`);
+  const repl = value.repl === undefined ? null : value.repl;
+  if (repl !== null && (!Array.isArray(repl) || repl.length === 0 || !repl.every(arg => typeof arg === 'string'))) {
+    throw new Error(`${name}: repl must be a non-empty array of strings`);
+  }
+  const starterCode = value.starterCode === undefined ? '' : value.starterCode;
+  if (typeof starterCode !== 'string') {
+    throw new Error(`${name}: starterCode must be a string`);
+  }
+
+  const deps = value.dependencies === undefined
+    ? { hasDeps: false, depsLabel: null, depsPlaceholder: null, ecosystem: null }
+    : compileDependencies(value.dependencies, `${name}: dependencies`);
+
+  return {
+    id,
+    label: requireString(value.label, `${name}: label`),
+    monacoLanguage: requireString(value.monacoLanguage, `${name}: monacoLanguage`, { optional: true }) || 'plaintext',
+    fileName,
+    extensions,
+    starterCode,
+    image: requireString(value.image, `${name}: image`, { optional: true }) || null,
+    ...compileVersions(value.versions, value.defaultVersion, name),
+    ...deps,
+    env,
+    diagnostics,
+    buildCommand(project) {
+      return [COPY_PROJECT, build].filter(Boolean).map(step => fillTemplate(step, project)).join(' && ');
+    },
+    execCommand(project) {
+      return fillTemplate(run, project);
+    },
+    runCommand(project) {
+      return `${this.buildCommand(project)} && ${this.execCommand(project)}`;
+    },
+    replCommand: repl,
+    custom: true,
+  };
+}
+
+/**
+ * Validates the user languages file and makes the merged set active.
+ * Nothing changes if the file is invalid.
+ * @returns {{ path: string, custom: string[] }} ids defined by the file
+ */
+function loadLanguages() {
+  const filePath = getLanguagesPath();
+  const entries = readLanguagesFile(filePath);
+
+  const custom = {};
+  try {
+    entries.forEach((value, index) => {
+      const lang = compileLanguage(value, index);
+      if (custom[lang.id]) throw new Error(`language "${lang.id}" is defined twice`);
+      custom[lang.id] = lang;
+    });
+  } catch (error) {
+    throw new Error(`Invalid languages ${filePath}: ${error.message}`);
+  }
+
+  registry = { ...LANGUAGES, ...custom };
+  return { path: filePath, custom: Object.keys(custom) };
+}
+
+function getLanguage(id) {
+  return Object.prototype.hasOwnProperty.call(registry, id) ? registry[id] : null;
+}
+
+/**
+ * Picks the version a run uses: the requested one, or the language default.
+ * @returns {object|null} entry from lang.versions, null for languages without versions
+ * @throws {Error} when the language does not offer the requested version
+ */
+function resolveVersion(lang, requested) {
+  const versions = lang.versions || [];
+  if (versions.length === 0) {
+    if (requested) throw new Error(`${lang.label} has no selectable versions`);
+    return null;
+  }
+
+  const id = requested || lang.defaultVersion;
+  const version = versions.find(item => item.id === id);
+  if (!version) {
+    throw new Error(`Unknown ${lang.label} version "${id}" (available: ${versions.map(item => item.id).join(', ')})`);
+  }
+  return version;
+}
+
+/**
+ * @returns {Array<object>} what /languages and get-languages serve to the UIs
+ */
+function listLanguages() {
+  return Object.values(registry).map(lang => ({
+    id: lang.id,
+    label: lang.label,
+    monacoLanguage: lang.monacoLanguage || 'plaintext',
+    fileName: lang.fileName,
+    extensions: lang.extensions || [],
+    hasDeps: lang.hasDeps,
+    depsLabel: lang.depsLabel,
+    depsPlaceholder: lang.depsPlaceholder,
+    starterCode: lang.starterCode || '',
+    versions: (lang.versions || []).map(({ id, label }) => ({ id, label })),
+    defaultVersion: lang.defaultVersion || null,
+    hasRepl: Boolean(lang.replCommand),
+  }));
+}
+
+/**
+ * Picks the language for a file by its extension, case-insensitively. The
+ * first match wins, so built-ins come before custom languages.
+ * @param {string} fileName
+ * @param {Array<{ id: string, extensions?: string[] }>} [languages] - defaults to listLanguages(),
+ *        a bridge's GET /languages works as well
+ * @returns {string|null} language id
+ */
+function findLanguageForFile(fileName, languages = listLanguages()) {
+  const extension = path.extname(fileName).toLowerCase();
+  if (!extension) return null;
+  const match = languages.find(lang => (lang.extensions || []).some(item => item.toLowerCase() === extension));
+  return match ? match.id : null;
+}
+
+module.exports = { loadLanguages, getLanguage, resolveVersion, listLanguages, findLanguageForFile, getLanguagesPath };
@@ -6,24 +6,126 @@
  * - id:              internal key
  * - label:           display name in UI
  * - monacoLanguage:  Monaco editor language identifier
- * - fileName:        name of the script file written into /input
+ * - fileName:        default entry file name written into /input
+ * - extensions:      file extensions the `ash-box` CLI runs with this language
+ * - starterCode:     initial editor content for the entry file
+ * - image:           Docker image the language runs in (optional, defaults to the base image)
  * - hasDeps:         whether the language supports runtime dependency installation
  * - depsLabel:       label shown next to the dependency input
  * - depsPlaceholder: placeholder text for the dependency input
- * - buildCommand:    function(deps: string[]) => string
- *                    Returns a single shell command (sh -c compatible) that:
- *                    1. Copies source from /input into /workspace
- *                    2. Installs dependencies (if any)
- *                    3. Compiles (if needed)
- *                    4. Executes the program
+ * - ecosystem:       dependency spec format checked by dependencies.js
+ *                    ('pip' | 'npm' | 'gem' | 'go' | 'maven' | 'cargo' | 'composer'),
+ *                    null when hasDeps is false
+ * - versions:        selectable runtime versions, [] when the language has one
+ *                    { id, label, image?, from?, ...toolchain settings }
+ *                    image: tag providing this version (the language's image when omitted)
+ *                    from:  upstream image that build-image.js builds `image` from
+ * - defaultVersion:  version id used when a run does not pick one (null without versions)
+ * - env:             environment variables (KEY=value) set in both phases
+ * - diagnostics:     format of the compiler and runtime errors on stderr, turned into
+ *                    editor diagnostics (see diagnostics.js); null for none
+ * - installCommand:  function(deps: string[]) => string[]
+ *                    Installer argv (exec form, no shell) that installs the validated
+ *                    dependency specs into /deps. Runs in the install phase, with network access, and only
+ *                    when deps is non-empty and not already cached. Only defined when
+ *                    hasDeps is true; `env` must point the runtime at /deps.
+ * - runCommand:      function(project: { entry: string, files: string[], version: object|null }) => string
+ *                    Shell command (sh -c compatible) that:
+ *                    1. Copies the project from /input into /workspace and creates
+ *                       /workspace/out (COPY_PROJECT does both)
+ *                    2. Compiles every source file of the project (if needed)
+ *                    3. Executes the entry file
+ *                    Runs in the run phase, with networking disabled unless the run allows it.
+ *                    project.files are relative paths already validated by the executor;
+ *                    project.version is the selected entry from versions.
+ * - buildCommand:    optional function(project) => string, for compiled languages:
+ *                    step 1 and 2 of runCommand only, leaving the program in /workspace
+ * - execCommand:     optional function(project) => string, step 3 only. With both defined,
+ *                    judge mode (see judge.js) compiles once and re-runs just this per case.
+ * - replCommand:     optional argv (exec form, no shell) of the interactive prompt an
+ *                    interactive session starts (see sessions.js), run in /workspace
+ *                    with a TTY. Languages without one offer no sessions.
  *
  * Mount contract:
- *   /input/[fileName] = user code, read-only
- *   /workspace        = writable working directory (compilation output, node_modules, etc.)
+ *   /input/[files]    = user project, read-only (entry defaults to fileName)
+ *   /deps             = dependency layer, cached per language + dependency list
+ *                       (writable in the install phase, read-only in the run phase)
+ *   /workspace        = writable working directory (compilation output, etc.)
+ *   /workspace/out    = files left here are returned as artifacts (see artifacts.js)
  */
 
 'use strict';
 
+// out/ is collected as run artifacts (see artifacts.js)
+const COPY_PROJECT = 'cp -r /input/. . && mkdir -p out';
+
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+function filesWithExtension(files, extensions) {
+  return files.filter(file => extensions.some(ext => file.endsWith(ext)));
+}
+
+function quoteAll(files) {
+  return files.map(shellQuote).join(' ');
+}
+
+// Runs a fixed script with the specs as positional parameters ("$@"), so they
+// reach the installer as separate arguments and are never parsed by the shell.
+function scriptWithArgs(script, args) {
+  return ['sh', '-c', script, 'sh', ...args];
+}
+
+// Module cache and go.mod/go.sum live in the layer; the run phase copies the
+// manifest into the project unless the project brings its own go.mod.
+const GO_INSTALL_SCRIPT = 'cd /deps && go mod init ashbox && go get "$@"';
+const GO_USE_LAYER = 'if [ -f /deps/go.mod ] && [ ! -f go.mod ]; then cp /deps/go.mod /deps/go.sum .; fi';
+
+// Resolves the coordinates (and their transitive dependencies) into /deps/lib
+// through a generated pom. Specs are validated to [A-Za-z0-9._-] parts.
+const MAVEN_INSTALL_SCRIPT = [
+  '{',
+  '  echo \'<project xmlns="http://maven.apache.org/POM/4.0.0"><modelVersion>4.0.0</modelVersion>\'',
+  '  echo \'<groupId>ashbox</groupId><artifactId>deps</artifactId><version>1</version><dependencies>\'',
+  '  for spec in "$@"; do',
+  '    group=${spec%%:*}; rest=${spec#*:}; artifact=${rest%%:*}; version=${rest#*:}',
+  '    echo "<dependency><groupId>$group</groupId><artifactId>$artifact</artifactId><version>$version</version></dependency>"',
+  '  done',
+  '  echo \'</dependencies></project>\'',
+  '} > /deps/pom.xml &&',
+  'mvn --quiet --batch-mode -f /deps/pom.xml dependency:copy-dependencies -DoutputDirectory=/deps/lib',
+].join('\n');
+const MAVEN_CLASSPATH = shellQuote('/deps/lib/*');
+
+const NPM_INSTALL = ['npm', 'install', '--silent', '--prefix', '/deps'];
+
+// tsc resolves imports and @types from ./node_modules only, so link the layer
+// in. Type errors go to stderr and stop the run before node starts.
+const TS_LINK_DEPS = '{ [ ! -d /deps/node_modules ] || ln -s /deps/node_modules node_modules; }';
+const TSC_FLAGS = [
+  '--pretty false', '--target es2022', '--module commonjs', '--moduleResolution node',
+  '--esModuleInterop', '--skipLibCheck', '--types node', '--typeRoots /usr/lib/node_modules/@types',
+  '--rootDir .', '--outDir /tmp/ts-build',
+].join(' ');
+
+// Crates are vendored into the layer together with a target dir prebuilt at
+// RUST_APP_DIR. The run phase rebuilds at the same path, so cargo reuses the
+// compiled dependencies and only compiles the user's code, fully offline.
+const RUST_APP_DIR = '/workspace/app';
+const RUST_INSTALL_SCRIPT = [
+  `cargo new --quiet --bin --name app ${RUST_APP_DIR}`,
+  `cd ${RUST_APP_DIR}`,
+  'cargo add --quiet "$@"',
+  'mkdir .cargo',
+  'cargo vendor --quiet /deps/vendor > .cargo/config.toml',
+  'cargo build --offline --quiet',
+  'cp -r Cargo.toml Cargo.lock .cargo target /deps/',
+].join(' && ');
+
+// Composer packages are loaded through the layer's autoloader when present
+const PHP_AUTOLOAD = 'if [ -f /deps/vendor/autoload.php ]; then set -- -d auto_prepend_file=/deps/vendor/autoload.php; fi';
+
 const LANGUAGES = {
 
   python: {
@@ -31,15 +133,27 @@ const LANGUAGES = {
     label: 'Python',
     monacoLanguage: 'python',
     fileName: 'script.py',
+    extensions: ['.py'],
+    starterCode: 'import sys\nprint(f"Python {sys.version}")\nprint("Hello from Ash Box")\n',
     hasDeps: true,
     depsLabel: 'pip packages',
-    depsPlaceholder: 'e.g. requests langchain numpy',
-    buildCommand(deps) {
-      const install = deps.length > 0
-        ? `pip install --quiet ${deps.map(d => `"${d}"`).join(' ')} && `
-        : '';
-      return `cp /input/script.py . && ${install}python script.py`;
+    depsPlaceholder: 'e.g. requests>=2.31 numpy pandas[excel]',
+    ecosystem: 'pip',
+    versions: [
+      { id: '3.8', label: '3.8', image: 'executor-python:3.8', from: 'python:3.8-slim-bookworm' },
+      { id: '3.11', label: '3.11' },
+      { id: '3.12', label: '3.12', image: 'executor-python:3.12', from: 'python:3.12-slim-bookworm' },
+    ],
+    defaultVersion: '3.11',
+    env: ['PYTHONPATH=/deps'],
+    diagnostics: 'python',
+    installCommand(deps) {
+      return ['pip', 'install', '--quiet', '--target', '/deps', ...deps];
     },
+    runCommand(project) {
+      return `${COPY_PROJECT} && python ${shellQuote(project.entry)}`;
+    },
+    replCommand: ['python', '-q'],
   },
 
   javascript: {
@@ -47,15 +161,27 @@ const LANGUAGES = {
     label: 'JavaScript',
     monacoLanguage: 'javascript',
     fileName: 'script.js',
+    extensions: ['.js', '.mjs', '.cjs'],
+    starterCode: "const os = require('os');\nconsole.log(`Node ${process.version}`);\nconsole.log(\"Hello from Ash Box\");\n",
     hasDeps: true,
     depsLabel: 'npm packages',
-    depsPlaceholder: 'e.g. axios lodash dayjs',
-    buildCommand(deps) {
-      const install = deps.length > 0
-        ? `npm install --silent ${deps.join(' ')} && `
-        : '';
-      return `cp /input/script.js . && ${install}node script.js`;
+    depsPlaceholder: 'e.g. axios@^1.6 lodash dayjs',
+    ecosystem: 'npm',
+    versions: [
+      { id: '18', label: 'Node 18', image: 'executor-node:18', from: 'node:18-bookworm-slim' },
+      { id: '20', label: 'Node 20' },
+      { id: '22', label: 'Node 22', image: 'executor-node:22', from: 'node:22-bookworm-slim' },
+    ],
+    defaultVersion: '20',
+    env: ['NODE_PATH=/deps/node_modules'],
+    diagnostics: 'node',
+    installCommand(deps) {
+      return [...NPM_INSTALL, ...deps];
+    },
+    runCommand(project) {
+      return `${COPY_PROJECT} && node ${shellQuote(project.entry)}`;
     },
+    replCommand: ['node'],
   },
 
   go: {
@@ -63,12 +189,31 @@ const LANGUAGES = {
     label: 'Go',
     monacoLanguage: 'go',
     fileName: 'script.go',
-    hasDeps: false,
-    depsLabel: null,
-    depsPlaceholder: null,
-    buildCommand(_deps) {
-      // stdlib only - no go.mod needed for go run with no external imports
-      return `cp /input/script.go . && go run script.go`;
+    extensions: ['.go'],
+    starterCode: 'package main\n\nimport "fmt"\n\nfunc main() {\n\tfmt.Println("Hello from Ash Box")\n}\n',
+    hasDeps: true,
+    depsLabel: 'Go modules',
+    depsPlaceholder: 'e.g. github.com/google/uuid@v1.6.0 golang.org/x/exp',
+    ecosystem: 'go',
+    versions: [],
+    defaultVersion: null,
+    env: ['GOMODCACHE=/deps/mod', 'GOFLAGS=-mod=mod'],
+    diagnostics: 'go',
+    installCommand(deps) {
+      return scriptWithArgs(GO_INSTALL_SCRIPT, deps);
+    },
+    buildCommand(project) {
+      // Without dependencies there is no go.mod and go build compiles the files directly.
+      // All top-level .go files form package main; subdirectories are not packages here.
+      const sources = filesWithExtension(project.files, ['.go'])
+        .filter(file => !file.includes('/') && !file.endsWith('_test.go'));
+      return `${COPY_PROJECT} && ${GO_USE_LAYER} && go build -o prog ${quoteAll(sources)}`;
+    },
+    execCommand() {
+      return './prog';
+    },
+    runCommand(project) {
+      return `${this.buildCommand(project)} && ${this.execCommand(project)}`;
     },
   },
 
@@ -77,15 +222,23 @@ const LANGUAGES = {
     label: 'Ruby',
     monacoLanguage: 'ruby',
     fileName: 'script.rb',
+    extensions: ['.rb'],
+    starterCode: 'puts RUBY_VERSION\nputs "Hello from Ash Box"\n',
     hasDeps: true,
     depsLabel: 'gems',
-    depsPlaceholder: 'e.g. httparty nokogiri',
-    buildCommand(deps) {
-      const install = deps.length > 0
-        ? `gem install --silent ${deps.join(' ')} && `
-        : '';
-      return `cp /input/script.rb . && ${install}ruby script.rb`;
+    depsPlaceholder: 'e.g. httparty nokogiri:~>1.15',
+    ecosystem: 'gem',
+    versions: [],
+    defaultVersion: null,
+    env: ['GEM_HOME=/deps'],
+    diagnostics: 'ruby',
+    installCommand(deps) {
+      return ['gem', 'install', '--silent', ...deps];
+    },
+    runCommand(project) {
+      return `${COPY_PROJECT} && ruby ${shellQuote(project.entry)}`;
     },
+    replCommand: ['irb'],
   },
 
   java: {
@@ -93,12 +246,32 @@ const LANGUAGES = {
     label: 'Java',
     monacoLanguage: 'java',
     fileName: 'Main.java',
-    hasDeps: false,
-    depsLabel: null,
-    depsPlaceholder: null,
-    buildCommand(_deps) {
-      // Public class must be named Main - enforced by convention, documented in UI.
-      return `cp /input/Main.java . && javac Main.java && java Main`;
+    extensions: ['.java'],
+    starterCode: 'public class Main {\n    public static void main(String[] args) {\n        System.out.println("Hello from Ash Box");\n    }\n}\n',
+    hasDeps: true,
+    depsLabel: 'Maven artifacts',
+    depsPlaceholder: 'e.g. com.google.code.gson:gson:2.10.1',
+    ecosystem: 'maven',
+    versions: [],
+    defaultVersion: null,
+    env: [],
+    diagnostics: 'java',
+    installCommand(deps) {
+      return scriptWithArgs(MAVEN_INSTALL_SCRIPT, deps);
+    },
+    buildCommand(project) {
+      const sources = filesWithExtension(project.files, ['.java']);
+      return `${COPY_PROJECT} && javac -cp ${MAVEN_CLASSPATH} -d . ${quoteAll(sources)}`;
+    },
+    execCommand(project) {
+      // The entry file's public class is the main class, Main by default - documented in UI.
+      // Files under subdirectories map to packages (com/acme/App.java -> com.acme.App).
+      const mainClass = project.entry.replace(/\.java$/, '').split('/').join('.');
+      // /deps/lib only exists when Maven artifacts were installed; java ignores a missing entry
+      return `java -cp .:${MAVEN_CLASSPATH} ${shellQuote(mainClass)}`;
+    },
+    runCommand(project) {
+      return `${this.buildCommand(project)} && ${this.execCommand(project)}`;
     },
   },
 
@@ -107,11 +280,25 @@ const LANGUAGES = {
     label: 'C',
     monacoLanguage: 'c',
     fileName: 'script.c',
+    extensions: ['.c'],
+    starterCode: '#include <stdio.h>\n\nint main() {\n    printf("Hello from Ash Box\\n");\n    return 0;\n}\n',
     hasDeps: false,
     depsLabel: null,
     depsPlaceholder: null,
-    buildCommand(_deps) {
-      return `cp /input/script.c . && gcc script.c -o prog -lm && ./prog`;
+    ecosystem: null,
+    versions: [],
+    defaultVersion: null,
+    env: [],
+    diagnostics: 'gcc',
+    buildCommand(project) {
+      const sources = filesWithExtension(project.files, ['.c']);
+      return `${COPY_PROJECT} && gcc -I. ${quoteAll(sources)} -o prog -lm`;
+    },
+    execCommand() {
+      return './prog';
+    },
+    runCommand(project) {
+      return `${this.buildCommand(project)} && ${this.execCommand(project)}`;
     },
   },
 
@@ -120,14 +307,140 @@ const LANGUAGES = {
     label: 'C++',
     monacoLanguage: 'cpp',
     fileName: 'script.cpp',
+    extensions: ['.cpp', '.cc', '.cxx'],
+    starterCode: '#include <iostream>\n\nint main() {\n    std::cout << "Hello from Ash Box" << std::endl;\n    return 0;\n}\n',
     hasDeps: false,
     depsLabel: null,
     depsPlaceholder: null,
-    buildCommand(_deps) {
-      return `cp /input/script.cpp . && g++ script.cpp -o prog -lm && ./prog`;
+    ecosystem: null,
+    versions: [
+      { id: 'c++14', label: 'C++14', std: 'c++14' },
+      { id: 'c++17', label: 'C++17', std: 'c++17' },
+      { id: 'c++20', label: 'C++20', std: 'c++20' },
+    ],
+    defaultVersion: 'c++17',
+    env: [],
+    diagnostics: 'gcc',
+    buildCommand(project) {
+      const sources = filesWithExtension(project.files, ['.cpp', '.cc', '.cxx']);
+      return `${COPY_PROJECT} && g++ -std=${project.version.std} -I. ${quoteAll(sources)} -o prog -lm`;
+    },
+    execCommand() {
+      return './prog';
+    },
+    runCommand(project) {
+      return `${this.buildCommand(project)} && ${this.execCommand(project)}`;
+    },
+  },
+
+  typescript: {
+    id: 'typescript',
+    label: 'TypeScript',
+    monacoLanguage: 'typescript',
+    fileName: 'script.ts',
+    extensions: ['.ts'],
+    starterCode: 'const greeting: string = "Hello from Ash Box";\nconsole.log(`TypeScript on Node ${process.version}`);\nconsole.log(greeting);\n',
+    hasDeps: true,
+    depsLabel: 'npm packages',
+    depsPlaceholder: 'e.g. lodash @types/lodash zod',
+    ecosystem: 'npm',
+    versions: [],
+    defaultVersion: null,
+    env: ['NODE_PATH=/deps/node_modules'],
+    diagnostics: 'tsc',
+    installCommand(deps) {
+      return [...NPM_INSTALL, ...deps];
+    },
+    runCommand(project) {
+      const sources = filesWithExtension(project.files, ['.ts']);
+      const output = `/tmp/ts-build/${project.entry.replace(/\.ts$/, '.js')}`;
+      return `${COPY_PROJECT} && ${TS_LINK_DEPS} && tsc ${TSC_FLAGS} ${quoteAll(sources)} >&2`
+        + ` && node ${shellQuote(output)}`;
+    },
+  },
+
+  rust: {
+    id: 'rust',
+    label: 'Rust',
+    monacoLanguage: 'rust',
+    fileName: 'main.rs',
+    extensions: ['.rs'],
+    starterCode: 'fn main() {\n    println!("Hello from Ash Box");\n}\n',
+    hasDeps: true,
+    depsLabel: 'crates',
+    depsPlaceholder: 'e.g. rand@0.8 regex serde_json@1',
+    ecosystem: 'cargo',
+    versions: [],
+    defaultVersion: null,
+    env: [],
+    diagnostics: 'rustc',
+    installCommand(deps) {
+      return scriptWithArgs(RUST_INSTALL_SCRIPT, deps);
+    },
+    runCommand(project) {
+      // rustc follows `mod` declarations from the entry file to the other sources
+      const standalone = `${COPY_PROJECT} && rustc --edition 2021 -o prog ${shellQuote(project.entry)} && ./prog`;
+      const withCrates = [
+        `mkdir -p ${RUST_APP_DIR}/src /workspace/out`,
+        `cp -r /deps/Cargo.toml /deps/Cargo.lock /deps/.cargo /deps/target ${RUST_APP_DIR}/`,
+        `cp -r /input/. ${RUST_APP_DIR}/src/`,
+        `cd ${RUST_APP_DIR}`,
+        'ln -s /workspace/out out',
+        `printf '[[bin]]\\nname = "app"\\npath = "src/%s"\\n' ${shellQuote(project.entry)} >> Cargo.toml`,
+        'cargo build --offline --quiet',
+        './target/debug/app',
+      ].join(' && ');
+      return `if [ -f /deps/Cargo.toml ]; then ${withCrates}; else ${standalone}; fi`;
+    },
+  },
+
+  bash: {
+    id: 'bash',
+    label: 'Bash',
+    monacoLanguage: 'shell',
+    fileName: 'script.sh',
+    extensions: ['.sh', '.bash'],
+    starterCode: 'echo "Bash $BASH_VERSION"\necho "Hello from Ash Box"\n',
+    hasDeps: false,
+    depsLabel: null,
+    depsPlaceholder: null,
+    ecosystem: null,
+    versions: [],
+    defaultVersion: null,
+    env: [],
+    diagnostics: 'bash',
+    runCommand(project) {
+      // bash -n reports syntax errors before any command runs
+      return `${COPY_PROJECT} && bash -n ${shellQuote(project.entry)} && bash ${shellQuote(project.entry)}`;
+    },
+    replCommand: ['bash'],
+  },
+
+  php: {
+    id: 'php',
+    label: 'PHP',
+    monacoLanguage: 'php',
+    fileName: 'script.php',
+    extensions: ['.php'],
+    starterCode: '<?php\n\necho "PHP " . PHP_VERSION . "\\n";\necho "Hello from Ash Box\\n";\n',
+    hasDeps: true,
+    depsLabel: 'Composer packages',
+    depsPlaceholder: 'e.g. monolog/monolog:^3.5 nesbot/carbon',
+    ecosystem: 'composer',
+    versions: [],
+    defaultVersion: null,
+    env: [],
+    diagnostics: 'php',
+    installCommand(deps) {
+      return ['composer', 'require', '--quiet', '--no-interaction', '--no-progress', '--working-dir=/deps', ...deps];
+    },
+    runCommand(project) {
+      // Parse errors and warnings go to stderr instead of being mixed into the output
+      return `${COPY_PROJECT} && ${PHP_AUTOLOAD}`
+        + ` && php -d display_errors=stderr -d log_errors=0 "$@" ${shellQuote(project.entry)}`;
     },
   },
 
 };
 
-module.exports = { LANGUAGES };
+module.exports = { LANGUAGES, COPY_PROJECT, shellQuote, quoteAll };
@@ -0,0 +1,120 @@
+/**
+ * limits.js
+ * Per-run resource limits and the ceilings they are validated against.
+ *
+ * Limit fields (all optional in a run request):
+ * - timeoutSec: wall-clock limit for the whole container run
+ * - memoryMb:   memory limit (swap is disabled, so this is a hard cap)
+ * - cpus:       CPU share, fractional values allowed (0.5 = half a core)
+ * - pids:       maximum number of processes/threads in the container
+ */
+
+'use strict';
+
+const DEFAULT_LIMITS = {
+  timeoutSec: 60,
+  memoryMb: 512,
+  cpus: 1,
+  pids: 128, // Increased from 64: Java, npm, Ruby gems spawn more processes
+};
+
+const DEFAULT_MAX_LIMITS = {
+  timeoutSec: 300,
+  memoryMb: 2048,
+  cpus: 2,
+  pids: 256,
+};
+
+const LIMIT_RULES = {
+  timeoutSec: { min: 1, integer: true, label: 'Timeout' },
+  memoryMb: { min: 64, integer: true, label: 'Memory' },
+  cpus: { min: 0.1, integer: false, label: 'CPUs' },
+  pids: { min: 16, integer: true, label: 'Process limit' },
+};
+
+const CPU_PERIOD = 100_000;
+
+function checkLimitValue(field, value, max) {
+  const rule = LIMIT_RULES[field];
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new Error(`${rule.label} (${field}) must be a number`);
+  }
+  if (rule.integer && !Number.isInteger(value)) {
+    throw new Error(`${rule.label} (${field}) must be a whole number`);
+  }
+  if (value < rule.min) {
+    throw new Error(`${rule.label} (${field}) must be at least ${rule.min}`);
+  }
+  if (max !== undefined && value > max) {
+    throw new Error(`${rule.label} (${field}) must be at most ${max}`);
+  }
+}
+
+/**
+ * Validates a set of limits. Used for config files, where every field is optional.
+ * @returns {object} only the known fields that were present
+ */
+function validateLimits(value, name) {
+  if (value === undefined) return {};
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`${name} must be an object`);
+  }
+
+  const result = {};
+  Object.keys(value).forEach(field => {
+    if (!LIMIT_RULES[field]) throw new Error(`${name}.${field} is not a known limit`);
+    checkLimitValue(field, value[field]);
+    result[field] = value[field];
+  });
+  return result;
+}
+
+/**
+ * Fills in defaults for a run request and rejects anything above the ceilings.
+ *
+ * @param {object} requested  - limits from the run payload (fields may be missing)
+ * @param {{ defaults: object, max: object }} policy - from loadConfig().limits
+ * @returns {{ timeoutSec: number, memoryMb: number, cpus: number, pids: number }}
+ */
+function resolveLimits(requested, policy) {
+  const data = requested && typeof requested === 'object' ? requested : {};
+  const limits = {};
+
+  Object.keys(LIMIT_RULES).forEach(field => {
+    const value = data[field] === undefined || data[field] === null
+      ? policy.defaults[field]
+      : data[field];
+    checkLimitValue(field, value, policy.max[field]);
+    limits[field] = value;
+  });
+
+  return limits;
+}
+
+/**
+ * Maps resolved limits onto Docker HostConfig fields.
+ */
+function toHostConfig(limits) {
+  const memoryBytes = limits.memoryMb * 1024 * 1024;
+  return {
+    Memory: memoryBytes,
+    MemorySwap: memoryBytes,
+    CpuPeriod: CPU_PERIOD,
+    CpuQuota: Math.round(limits.cpus * CPU_PERIOD),
+    PidsLimit: limits.pids,
+  };
+}
+
+function formatLimits(limits) {
+  return `${limits.timeoutSec}s, ${limits.memoryMb} MB, ${limits.cpus} CPU, ${limits.pids} processes`;
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  DEFAULT_MAX_LIMITS,
+  LIMIT_RULES,
+  validateLimits,
+  resolveLimits,
+  toHostConfig,
+  formatLimits,
+};
@@ -0,0 +1,137 @@
+/**
+ * metrics.js
+ * Resource usage of the run phase and the reason a run ended.
+ *
+ * CPU time and memory come from the Docker stats stream of the run container,
+ * which Docker samples about once a second: a program that exits before the
+ * first sample reports null. Peak memory is the highest sampled usage without
+ * the page cache, as `docker stats` shows it. OOMKilled comes from the
+ * container state after the exit.
+ *
+ * Reasons:
+ *   success        exit code 0
+ *   error          any other exit code, or a run rejected before it started
+ *   timeout        the time limit was hit
+ *   oom            the kernel killed the program for exceeding the memory limit
+ *   signal         the program died from a signal (exit code 128 + n by the shell convention)
+ *   output-limit   stopped for printing more than the output limits allow (see output-limits.js)
+ *   cancelled      cancelled by the caller
+ *   infra-failure  Docker or the executor failed, not the program
+ *
+ * Metrics: { wallTimeMs, cpuTimeMs, peakMemoryBytes, oomKilled, signal }
+ */
+
+'use strict';
+
+const EXIT_REASONS = ['success', 'error', 'timeout', 'oom', 'signal', 'output-limit', 'cancelled', 'infra-failure'];
+
+// Container processes run on Linux, whatever the host is
+const SIGNAL_NAMES = {
+  1: 'SIGHUP',
+  2: 'SIGINT',
+  3: 'SIGQUIT',
+  4: 'SIGILL',
+  5: 'SIGTRAP',
+  6: 'SIGABRT',
+  7: 'SIGBUS',
+  8: 'SIGFPE',
+  9: 'SIGKILL',
+  10: 'SIGUSR1',
+  11: 'SIGSEGV',
+  12: 'SIGUSR2',
+  13: 'SIGPIPE',
+  14: 'SIGALRM',
+  15: 'SIGTERM',
+  24: 'SIGXCPU',
+  25: 'SIGXFSZ',
+  31: 'SIGSYS',
+};
+const KILLED_EXIT_CODE = 128 + 9;
+// How long stop() waits for a stats stream that has not answered yet
+const STATS_CONNECT_TIMEOUT_MS = 2000;
+
+function memoryWithoutCache(memoryStats) {
+  if (!memoryStats || typeof memoryStats.usage !== 'number') return null;
+  const stats = memoryStats.stats || {};
+  // cgroup v1 reports total_inactive_file, v2 inactive_file
+  const cache = stats.total_inactive_file ?? stats.inactive_file ?? 0;
+  return Math.max(0, memoryStats.usage - cache);
+}
+
+/**
+ * Follows the stats stream of a running container until stop() is called.
+ * @returns {{ stop(): Promise<{ cpuTimeMs: number|null, peakMemoryBytes: number|null }> }}
+ */
+function watchStats(container) {
+  let cpuNs = null;
+  let peakMemoryBytes = null;
+  let stream = null;
+  let buffered = '';
+
+  const onSample = (sample) => {
+    const cpu = sample.cpu_stats?.cpu_usage?.total_usage;
+    if (typeof cpu === 'number' && cpu > 0) cpuNs = Math.max(cpuNs || 0, cpu);
+    const memory = memoryWithoutCache(sample.memory_stats);
+    if (memory) peakMemoryBytes = Math.max(peakMemoryBytes || 0, memory);
+  };
+
+  const connected = Promise.resolve()
+    .then(() => container.stats({ stream: true }))
+    .then((statsStream) => {
+      stream = statsStream;
+      stream.on('data', (chunk) => {
+        buffered += chunk.toString('utf8');
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+        lines.filter(line => line.trim()).forEach(line => {
+          try { onSample(JSON.parse(line)); } catch (_) {}
+        });
+      });
+      stream.on('error', () => {});
+    })
+    .catch(() => {});
+
+  return {
+    async stop() {
+      await Promise.race([connected, new Promise(resolve => setTimeout(resolve, STATS_CONNECT_TIMEOUT_MS))]);
+      if (stream) stream.destroy();
+      return { cpuTimeMs: cpuNs === null ? null : Math.round(cpuNs / 1e6), peakMemoryBytes };
+    },
+  };
+}
+
+/**
+ * @returns {Promise<boolean>} whether the kernel OOM-killed a process in the container
+ */
+async function readOomKilled(container) {
+  try {
+    const info = await container.inspect();
+    return info.State?.OOMKilled === true;
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * @param {{ exitCode: number, cancelled?: boolean, timedOut?: boolean, outputExceeded?: boolean, failed?: boolean,
+ *           oomKilled?: boolean, peakMemoryBytes?: number|null, memoryLimitBytes?: number }} run
+ * @returns {{ reason: string, signal: string|null }}
+ */
+function classifyExit(run) {
+  const signalNumber = run.exitCode > 128 ? run.exitCode - 128 : null;
+  const signal = signalNumber ? SIGNAL_NAMES[signalNumber] || `SIG${signalNumber}` : null;
+
+  if (run.cancelled) return { reason: 'cancelled', signal };
+  if (run.timedOut) return { reason: 'timeout', signal };
+  if (run.outputExceeded) return { reason: 'output-limit', signal };
+  if (run.failed) return { reason: 'infra-failure', signal: null };
+  // A program exec'd in a still running container can be OOM-killed without
+  // the container state saying so; a SIGKILL close to the limit is the tell.
+  const nearLimit = run.peakMemoryBytes && run.memoryLimitBytes
+    && run.peakMemoryBytes >= run.memoryLimitBytes * 0.9;
+  if (run.oomKilled || (run.exitCode === KILLED_EXIT_CODE && nearLimit)) return { reason: 'oom', signal };
+  if (run.exitCode === 0) return { reason: 'success', signal: null };
+  return { reason: signal ? 'signal' : 'error', signal };
+}
+
+module.exports = { EXIT_REASONS, watchStats, readOomKilled, classifyExit };
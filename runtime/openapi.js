@@ -0,0 +1,99 @@
+/**
+ * openapi.js
+ * Builds the OpenAPI 3.1 document the bridge serves at GET /v1/openapi.json.
+ *
+ * Paths come from the bridge's route table, so the document lists exactly
+ * the routes that exist. Each route may describe itself with:
+ * - summary:     one line for the operation
+ * - request:     component schema name of the JSON body
+ * - response:    component schema name of the success body (omitted for raw bodies)
+ * - status:      success status, 200 by default
+ * - contentType: success media type, application/json by default
+ * - query:       { name: description } of optional query parameters
+ */
+
+'use strict';
+
+const { API_VERSION } = require('./api-schema');
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+function toOpenApiPath(routePath) {
+  return routePath.replace(/:([A-Za-z]+)/g, '{$1}');
+}
+
+function describeOperation(route) {
+  const contentType = route.contentType || 'application/json';
+  const success = { description: route.summary };
+  if (route.response) success.content = { [contentType]: { schema: ref(route.response) } };
+  else if (route.contentType) success.content = { [contentType]: { schema: { type: 'string', format: 'binary' } } };
+
+  const parameters = [
+    ...(route.path.match(/:[A-Za-z]+/g) || []).map(param => ({
+      name: param.slice(1),
+      in: 'path',
+      required: true,
+      schema: { type: 'string' },
+    })),
+    ...Object.entries(route.query || {}).map(([name, description]) => ({
+      name,
+      in: 'query',
+      required: false,
+      description,
+      schema: { type: 'string' },
+    })),
+  ];
+
+  const operation = {
+    summary: route.summary,
+    responses: {
+      [route.status || 200]: success,
+      default: { $ref: '#/components/responses/Error' },
+    },
+  };
+  if (parameters.length > 0) operation.parameters = parameters;
+  if (route.request) {
+    operation.requestBody = { required: true, content: { 'application/json': { schema: ref(route.request) } } };
+  }
+  return operation;
+}
+
+/**
+ * @param {{ routes: Array<{ method: string, path: string }>, schemas: object, port: number }} options
+ *        routes with paths relative to /v1, schemas from buildSchemas()
+ */
+function buildOpenApiDocument({ routes, schemas, port }) {
+  const paths = {};
+  routes.forEach(route => {
+    const key = `/v1${toOpenApiPath(route.path)}`;
+    paths[key] = { ...paths[key], [route.method.toLowerCase()]: describeOperation(route) };
+  });
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Ash Box bridge',
+      version: API_VERSION,
+      description: 'Runs code in disposable Docker containers. Every request needs the pairing token '
+        + 'from ~/.ash-box/bridge-token as a bearer token. Routes without the /v1 prefix are '
+        + 'older aliases that reply with `{ error: string }` on failure.',
+    },
+    servers: [{ url: `http://127.0.0.1:${port}` }],
+    security: [{ pairingToken: [] }],
+    paths,
+    components: {
+      schemas,
+      responses: {
+        Error: {
+          description: 'The request failed; `error.code` says why',
+          content: { 'application/json': { schema: ref('ErrorResponse') } },
+        },
+      },
+      securitySchemes: {
+        pairingToken: { type: 'http', scheme: 'bearer' },
+      },
+    },
+  };
+}
+
+module.exports = { buildOpenApiDocument };
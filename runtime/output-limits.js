@@ -0,0 +1,112 @@
+/**
+ * output-limits.js
+ * Caps on the output a run forwards, so a program printing in a loop cannot
+ * flood the job store or the consoles.
+ *
+ * Limit fields (config.json "output", every field optional):
+ * - maxBytes:       program output forwarded per phase; later lines are discarded
+ * - maxLines:       lines forwarded per phase; later lines are discarded
+ * - maxLineLength:  characters kept of a single line, the rest is cut off
+ * - killAfterBytes: output per phase (discarded lines included) after which the
+ *                   program is stopped; 0 lets it run until its time limit
+ *
+ * Only stdout and stderr count; executor lines are always forwarded. Cut lines
+ * and the first discarded line are marked in the output itself.
+ */
+
+'use strict';
+
+const DEFAULT_OUTPUT_LIMITS = {
+  maxBytes: 2 * 1024 * 1024,
+  maxLines: 10000,
+  maxLineLength: 4000,
+  killAfterBytes: 32 * 1024 * 1024,
+};
+
+const OUTPUT_RULES = {
+  maxBytes: { min: 1024 },
+  maxLines: { min: 100 },
+  maxLineLength: { min: 80 },
+  killAfterBytes: { min: 0 },
+};
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Validates the "output" section of the config file.
+ * @returns {object} DEFAULT_OUTPUT_LIMITS with the configured fields applied
+ */
+function validateOutputLimits(value, name) {
+  if (value === undefined) return { ...DEFAULT_OUTPUT_LIMITS };
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`${name} must be an object`);
+  }
+
+  const limits = { ...DEFAULT_OUTPUT_LIMITS };
+  Object.keys(value).forEach(field => {
+    const rule = OUTPUT_RULES[field];
+    if (!rule) throw new Error(`${name}.${field} is not a known output limit`);
+    if (!Number.isInteger(value[field]) || value[field] < rule.min) {
+      throw new Error(`${name}.${field} must be a whole number of at least ${rule.min}`);
+    }
+    limits[field] = value[field];
+  });
+  if (limits.killAfterBytes > 0 && limits.killAfterBytes < limits.maxBytes) {
+    throw new Error(`${name}.killAfterBytes must be 0 or at least maxBytes`);
+  }
+  return limits;
+}
+
+/**
+ * Tracks the output of one phase.
+ * push() returns the line to forward (shortened when too long) or null when it
+ * is discarded, plus a notice for the executor to print when a cap is reached.
+ *
+ * @param {object} [limits] - resolved output limits, DEFAULT_OUTPUT_LIMITS if omitted
+ * @returns {{ push(line: string): { line: string|null, notice: string|null },
+ *             readonly overKillLimit: boolean, describeKill(): string, describeDiscarded(): string|null }}
+ */
+function createOutputLimiter(limits = DEFAULT_OUTPUT_LIMITS) {
+  let bytes = 0;
+  let lines = 0;
+  let discardedBytes = 0;
+  let discardedLines = 0;
+
+  return {
+    push(line) {
+      const size = Buffer.byteLength(line) + 1;
+      if (discardedLines > 0 || lines >= limits.maxLines || bytes + size > limits.maxBytes) {
+        discardedLines += 1;
+        discardedBytes += size;
+        if (discardedLines > 1) return { line: null, notice: null };
+        const cap = lines >= limits.maxLines ? `${limits.maxLines} lines` : formatBytes(limits.maxBytes);
+        return { line: null, notice: `Output limit reached (${cap}); further output is not shown` };
+      }
+
+      lines += 1;
+      bytes += size;
+      if (line.length <= limits.maxLineLength) return { line, notice: null };
+      const cut = line.length - limits.maxLineLength;
+      return { line: `${line.slice(0, limits.maxLineLength)}… [${cut} more characters]`, notice: null };
+    },
+
+    get overKillLimit() {
+      return limits.killAfterBytes > 0 && bytes + discardedBytes > limits.killAfterBytes;
+    },
+
+    describeKill() {
+      return `Output exceeded ${formatBytes(limits.killAfterBytes)}, the program was stopped`;
+    },
+
+    describeDiscarded() {
+      if (discardedLines === 0) return null;
+      return `Output discarded: ${discardedLines} line(s), ${formatBytes(discardedBytes)}`;
+    },
+  };
+}
+
+module.exports = { DEFAULT_OUTPUT_LIMITS, validateOutputLimits, createOutputLimiter };
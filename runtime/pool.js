@@ -0,0 +1,171 @@
+/**
+ * pool.js
+ * Optional pool of pre-created, idle containers that cut run-phase startup latency.
+ *
+ * Pool containers are started with an idle command, no network, and a tmpfs at
+ * /input. The executor claims one for a run phase that needs neither network
+ * nor a dependency layer (both are fixed at container creation), copies the
+ * project into /input, applies the run's limits and execs the run command.
+ * Claimed containers are single-use: the executor destroys them after the run
+ * and the pool creates a replacement in the background.
+ *
+ * Containers are labelled with the owning process ID so a pool can clean up
+ * leftovers from a process that crashed without touching another live pool
+ * (the bridge and the desktop app may each run one).
+ */
+
+'use strict';
+
+const { createDockerClient, removeOrphanedContainers } = require('./docker');
+const { DEFAULT_LIMITS, toHostConfig } = require('./limits');
+
+const docker = createDockerClient();
+
+const POOL_LABEL = 'ash-box.pool-owner';
+const INPUT_TMPFS = 'rw,mode=755,size=64m';
+
+let image = null;
+let size = 0;
+let shuttingDown = false;
+let warming = 0;
+let lastError = null;
+const idle = [];
+
+const stats = {
+  warmStarts: 0,
+  coldStarts: 0,
+  warmStartMsTotal: 0,
+  coldStartMsTotal: 0,
+};
+
+async function createIdleContainer() {
+  const container = await docker.createContainer({
+    Image: image,
+    Cmd: ['sleep', 'infinity'],
+    Labels: { [POOL_LABEL]: String(process.pid) },
+    Tty: false,
+    WorkingDir: '/workspace',
+    HostConfig: {
+      ...toHostConfig(DEFAULT_LIMITS),
+      NetworkMode: 'none',
+      Tmpfs: { '/input': INPUT_TMPFS },
+      AutoRemove: false,
+    },
+    User: 'runner',
+  });
+  await container.start();
+  return container;
+}
+
+async function fill() {
+  while (!shuttingDown && image && idle.length + warming < size) {
+    warming += 1;
+    try {
+      const container = await createIdleContainer();
+      if (shuttingDown) {
+        await container.remove({ force: true }).catch(() => {});
+      } else {
+        idle.push(container);
+        lastError = null;
+      }
+    } catch (error) {
+      // Stop here; the next claim retries instead of looping on a broken daemon
+      lastError = error.message;
+      return;
+    } finally {
+      warming -= 1;
+    }
+  }
+}
+
+/**
+ * Enables the pool. A size of 0 leaves it disabled.
+ * @param {{ size: number, image: string }} options
+ */
+async function startPool(options) {
+  size = Math.max(0, Number(options.size) || 0);
+  image = options.image;
+  shuttingDown = false;
+  if (size === 0) return;
+
+  try {
+    await removeOrphanedContainers(docker, POOL_LABEL);
+  } catch (error) {
+    lastError = error.message;
+    return;
+  }
+  await fill();
+}
+
+function isEnabled() {
+  return size > 0 && !shuttingDown;
+}
+
+/**
+ * Takes an idle container and applies the run's limits to it.
+ * @returns {Promise<object|null>} a running dockerode container, or null if none is ready
+ */
+async function claim(limits) {
+  if (!isEnabled()) return null;
+
+  while (idle.length > 0) {
+    const container = idle.shift();
+    void fill();
+    try {
+      await container.update(toHostConfig(limits));
+      return container;
+    } catch (_) {
+      // The container died while idle; discard it and try the next one
+      await container.remove({ force: true }).catch(() => {});
+    }
+  }
+
+  void fill();
+  return null;
+}
+
+/**
+ * Records how long a run phase took from "need a container" to "command started".
+ * @param {'warm'|'cold'} kind
+ */
+function recordStart(kind, ms) {
+  if (kind === 'warm') {
+    stats.warmStarts += 1;
+    stats.warmStartMsTotal += ms;
+  } else {
+    stats.coldStarts += 1;
+    stats.coldStartMsTotal += ms;
+  }
+}
+
+function getStats() {
+  const avgWarmStartMs = stats.warmStarts ? Math.round(stats.warmStartMsTotal / stats.warmStarts) : null;
+  const avgColdStartMs = stats.coldStarts ? Math.round(stats.coldStartMsTotal / stats.coldStarts) : null;
+  const estimatedTimeSavedMs = avgWarmStartMs !== null && avgColdStartMs !== null
+    ? Math.max(0, Math.round((avgColdStartMs - avgWarmStartMs) * stats.warmStarts))
+    : null;
+
+  return {
+    enabled: isEnabled(),
+    size,
+    idle: idle.length,
+    warming,
+    warmStarts: stats.warmStarts,
+    coldStarts: stats.coldStarts,
+    avgWarmStartMs,
+    avgColdStartMs,
+    estimatedTimeSavedMs,
+    lastError,
+  };
+}
+
+/**
+ * Removes every idle container. Call on process shutdown.
+ */
+async function shutdownPool() {
+  shuttingDown = true;
+  const containers = idle.splice(0, idle.length);
+  await Promise.all(containers.map(container => container.remove({ force: true }).catch(() => {})));
+}
+
+module.exports = { startPool, isEnabled, claim, recordStart, getStats, shutdownPool };
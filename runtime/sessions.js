@@ -0,0 +1,262 @@
+/**
+ * sessions.js
+ * Interactive sessions: a language's REPL (its `replCommand`) in a container
+ * with a TTY, shared by the bridge server (over a WebSocket) and the desktop
+ * app (over IPC).
+ *
+ * Containers get the same limits, user and network rules as the run phase of
+ * runExecution: memory, CPU and process limits from the resolved limits, no
+ * network unless allowed. Their time limit does not apply; instead a session
+ * closes after `idleTimeoutSec` without input or `maxDurationSec` in total.
+ * Nothing is mounted, so a session starts in an empty /workspace.
+ *
+ * Session lifecycle:
+ *   starting -> running -> closed
+ * A session closes when its REPL exits, when the client closes it or goes
+ * away, when a time limit is hit, or on shutdown (closeAll). Its container is
+ * removed whenever it closes. Containers are labelled with the owning process
+ * ID so leftovers of a crashed process are removed on the next start.
+ *
+ * Settings (config.json "sessions", see config.js):
+ * - idleTimeoutSec: seconds without input after which a session is closed
+ * - maxDurationSec: seconds after which a session is closed regardless
+ * - maxSessions:    sessions open at the same time, per process
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { StringDecoder } = require('string_decoder');
+const { createDockerClient, removeOrphanedContainers } = require('./docker');
+const { getLanguage, resolveVersion } = require('./language-registry');
+const { toHostConfig } = require('./limits');
+const { BASE_IMAGE, describeMissingImage } = require('./executor');
+const { DEFAULT_SESSION_SETTINGS } = require('./config');
+
+const docker = createDockerClient();
+
+const SESSION_LABEL = 'ash-box.session-owner';
+
+// Why a session closed: its REPL exited, the client closed it, a time limit,
+// the process shutting down, or Docker failing
+const CLOSE_REASONS = ['exited', 'closed', 'idle', 'max-duration', 'shutdown', 'error'];
+
+/**
+ * Removes session containers left behind by a process that crashed.
+ */
+async function removeStaleSessions() {
+  await removeOrphanedContainers(docker, SESSION_LABEL);
+}
+
+function describeClose(reason, exitCode, settings) {
+  switch (reason) {
+    case 'exited': return `Session ended (exit code ${exitCode})`;
+    case 'idle': return `Session closed after ${settings.idleTimeoutSec}s without input`;
+    case 'max-duration': return `Session closed after the maximum of ${settings.maxDurationSec}s`;
+    case 'shutdown': return 'Session closed because the runtime is shutting down';
+    default: return 'Session closed';
+  }
+}
+
+/**
+ * Public view of a session, without its container or callbacks.
+ */
+function toSessionSummary(session) {
+  return {
+    id: session.id,
+    languageId: session.languageId,
+    version: session.version,
+    status: session.status,
+    limits: session.limits,
+    allowNetwork: session.allowNetwork,
+    createdAt: session.createdAt,
+    lastInputAt: session.lastInputAt,
+  };
+}
+
+/**
+ * @param {{ idleTimeoutSec?: number, maxDurationSec?: number, maxSessions?: number }} [options]
+ */
+function createSessionManager(options = {}) {
+  const settings = { ...DEFAULT_SESSION_SETTINGS, ...options };
+  const sessions = new Map();
+
+  function armIdleTimer(session) {
+    clearTimeout(session.idleTimer);
+    session.idleTimer = setTimeout(() => close(session.id, 'idle'), settings.idleTimeoutSec * 1000);
+  }
+
+  /**
+   * Starts a session. Validate the request first (language with a
+   * replCommand, resolveVersion, resolveLimits); this only fails on Docker
+   * errors and the session cap.
+   *
+   * @param {{ languageId: string, version?: string|null, limits: object, allowNetwork?: boolean, cols?: number, rows?: number }} request
+   * @param {{ onData: (data: string) => void, onClose: (info: { reason: string, exitCode: number|null, message: string }) => void }} handlers
+   *        onData receives terminal output (escape sequences included), starting after this
+   *        resolves so callers learn the session ID first; onClose is called once, for started sessions
+   * @returns {Promise<object>} session summary
+   */
+  async function start(request, handlers) {
+    if (sessions.size >= settings.maxSessions) {
+      throw new Error(`Too many open sessions (max ${settings.maxSessions}); close one first`);
+    }
+    const lang = getLanguage(request.languageId);
+    if (!lang || !lang.replCommand) throw new Error(`${request.languageId} has no interactive mode`);
+    const version = resolveVersion(lang, request.version);
+    const image = (version && version.image) || lang.image || BASE_IMAGE;
+
+    const session = {
+      id: crypto.randomBytes(6).toString('hex'),
+      languageId: lang.id,
+      version: version ? version.id : null,
+      status: 'starting',
+      limits: request.limits,
+      allowNetwork: request.allowNetwork === true,
+      createdAt: new Date().toISOString(),
+      lastInputAt: null,
+      container: null,
+      stream: null,
+      idleTimer: null,
+      maxTimer: null,
+      // Output that arrives before start() resolves (the first prompt)
+      pending: [],
+      handlers,
+    };
+    sessions.set(session.id, session);
+
+    try {
+      try {
+        await docker.getImage(image).inspect();
+      } catch (_) {
+        throw new Error(describeMissingImage(image, lang, version));
+      }
+
+      session.container = await docker.createContainer({
+        Image: image,
+        Cmd: lang.replCommand,
+        Env: [...(lang.env || []), 'TERM=xterm-256color'],
+        Labels: { [SESSION_LABEL]: String(process.pid) },
+        AttachStdin: true,
+        AttachStdout: true,
+        AttachStderr: true,
+        OpenStdin: true,
+        StdinOnce: false,
+        Tty: true,
+        WorkingDir: '/workspace',
+        HostConfig: {
+          ...toHostConfig(request.limits),
+          NetworkMode: session.allowNetwork ? 'bridge' : 'none',
+          AutoRemove: false,
+        },
+        User: 'runner',
+      });
+      // Closed while the container was being created, when close() had nothing to remove
+      if (session.status === 'closed') {
+        await session.container.remove({ force: true }).catch(() => {});
+        throw new Error('Session closed before it started');
+      }
+
+      // With a TTY, stdout and stderr arrive as one raw stream
+      session.stream = await session.container.attach({
+        stream: true, stdin: true, stdout: true, stderr: true, hijack: true,
+      });
+      const decoder = new StringDecoder('utf8');
+      session.stream.on('data', chunk => {
+        const text = decoder.write(chunk);
+        if (!text) return;
+        if (session.pending) session.pending.push(text);
+        else session.handlers.onData(text);
+      });
+
+      await session.container.start();
+      if (request.cols && request.rows) await resize(session.id, request.cols, request.rows);
+    } catch (error) {
+      // The caller reports the error; onClose is only for sessions that started
+      if (session.status !== 'closed') await destroy(session);
+      throw error;
+    }
+    // close() ran while the container was starting and already removed it
+    if (session.status === 'closed') throw new Error('Session closed before it started');
+
+    session.status = 'running';
+    setImmediate(() => {
+      const pending = session.pending;
+      session.pending = null;
+      if (session.status === 'running') pending.forEach(text => session.handlers.onData(text));
+    });
+    session.container.wait()
+      .then(result => close(session.id, 'exited', result?.StatusCode ?? null))
+      .catch(() => close(session.id, 'error'));
+    armIdleTimer(session);
+    session.maxTimer = setTimeout(() => close(session.id, 'max-duration'), settings.maxDurationSec * 1000);
+    return toSessionSummary(session);
+  }
+
+  /**
+   * Sends keystrokes (or pasted text) to the session's TTY.
+   * @returns {boolean} false if the session is not running
+   */
+  function write(id, data) {
+    const session = sessions.get(id);
+    if (!session || session.status !== 'running') return false;
+    session.lastInputAt = new Date().toISOString();
+    armIdleTimer(session);
+    session.stream.write(data);
+    return true;
+  }
+
+  /**
+   * Resizes the session's TTY to the client's terminal.
+   * @returns {Promise<boolean>} false if the session is unknown
+   */
+  async function resize(id, cols, rows) {
+    const session = sessions.get(id);
+    if (!session || !session.container) return false;
+    await session.container.resize({ w: cols, h: rows }).catch(() => {});
+    return true;
+  }
+
+  async function destroy(session) {
+    session.status = 'closed';
+    sessions.delete(session.id);
+    clearTimeout(session.idleTimer);
+    clearTimeout(session.maxTimer);
+    if (session.stream) session.stream.destroy();
+    if (session.container) await session.container.remove({ force: true }).catch(() => {});
+  }
+
+  /**
+   * Ends a session and removes its container. Safe to call more than once.
+   * @param {string} [reason] - one of CLOSE_REASONS, 'closed' by default
+   * @returns {Promise<boolean>} false if the session is unknown or already closed
+   */
+  async function close(id, reason = 'closed', exitCode = null) {
+    const session = sessions.get(id);
+    if (!session || session.status === 'closed') return false;
+    const started = session.status === 'running';
+    await destroy(session);
+    if (started) session.handlers.onClose({ reason, exitCode, message: describeClose(reason, exitCode, settings) });
+    return true;
+  }
+
+  /**
+   * Closes every session. Call on process shutdown and before the pane's owner goes away.
+   */
+  async function closeAll(reason = 'shutdown') {
+    await Promise.all([...sessions.keys()].map(id => close(id, reason)));
+  }
+
+  function get(id) {
+    const session = sessions.get(id);
+    return session ? toSessionSummary(session) : null;
+  }
+
+  function list() {
+    return [...sessions.values()].map(toSessionSummary);
+  }
+
+  return { settings, start, write, resize, close, closeAll, get, list };
+}
+
+module.exports = { CLOSE_REASONS, removeStaleSessions, createSessionManager };
@@ -0,0 +1,78 @@
+/**
+ * copy-editor.js
+ * Runs after npm install (postinstall), or by hand: npm run copy-editor
+ * Copies the Monaco editor build from node_modules into desktop/vendor and
+ * extension/vendor, so both UIs load it from their own files: offline, and
+ * within the extension's `script-src 'self'` policy.
+ *
+ * Only the minified AMD build (min/vs) is copied, without the translations
+ * the UIs do not load.
+ *
+ * The terminal pane's xterm.js and its fit addon are copied the same way, as
+ * single files into vendor/xterm. The UIs load them before Monaco's loader,
+ * which would otherwise claim their UMD builds as AMD modules.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const TARGETS = ['desktop', 'extension'];
+
+function findMonacoBuild() {
+  try {
+    return path.join(path.dirname(require.resolve('monaco-editor/package.json')), 'min', 'vs');
+  } catch (_) {
+    return null;
+  }
+}
+
+// Files of the terminal pane, relative to their package
+const XTERM_FILES = [
+  ['@xterm/xterm', 'lib/xterm.js'],
+  ['@xterm/xterm', 'css/xterm.css'],
+  ['@xterm/addon-fit', 'lib/addon-fit.js'],
+];
+
+function findXtermFiles() {
+  try {
+    return XTERM_FILES.map(([name, file]) => (
+      path.join(path.dirname(require.resolve(`${name}/package.json`)), file)
+    ));
+  } catch (_) {
+    return null;
+  }
+}
+
+function main() {
+  const source = findMonacoBuild();
+  if (!source || !fs.existsSync(source)) {
+    console.error('monaco-editor is not installed. Run npm install first.');
+    process.exit(1);
+  }
+  const xtermFiles = findXtermFiles();
+  if (!xtermFiles || !xtermFiles.every(file => fs.existsSync(file))) {
+    console.error('@xterm/xterm or @xterm/addon-fit is not installed. Run npm install first.');
+    process.exit(1);
+  }
+
+  TARGETS.forEach(target => {
+    const destination = path.join(ROOT, target, 'vendor', 'monaco', 'vs');
+    fs.rmSync(destination, { recursive: true, force: true });
+    fs.cpSync(source, destination, {
+      recursive: true,
+      filter: file => !/^nls\.messages\..+\.js$/.test(path.basename(file)),
+    });
+    console.log(`Copied the code editor to ${path.relative(ROOT, destination)}`);
+
+    const xtermDestination = path.join(ROOT, target, 'vendor', 'xterm');
+    fs.rmSync(xtermDestination, { recursive: true, force: true });
+    fs.mkdirSync(xtermDestination, { recursive: true });
+    xtermFiles.forEach(file => fs.copyFileSync(file, path.join(xtermDestination, path.basename(file))));
+    console.log(`Copied the terminal to ${path.relative(ROOT, xtermDestination)}`);
+  });
+}
+
+main();